@@ -0,0 +1,275 @@
+// adapter-runtime.js
+// Shared runtime for the content scripts. Each platform adapter
+// (twitter-scraper.js, bluesky-scraper.js, ...) calls
+// registerPlatformAdapter() with its selectors and field extractors; the
+// runtime finds posts on the page, extracts them, skips the ones already
+// sent and keeps watching the page for more.
+'use strict';
+
+// Quiet period after DOM changes before scanning
+const ADAPTER_SCAN_DEBOUNCE = 500;
+
+// Periodic rescan to catch posts the observer missed
+const ADAPTER_RESCAN_INTERVAL = 30 * 1000;
+
+// Delay before rescanning a tab that became visible again
+const ADAPTER_VISIBLE_DELAY = 1000;
+
+// Debounce function to limit message sending frequency
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+}
+
+// Parse relative time strings like "2h", "5m", "3d" into timestamps
+function parseRelativeTime(timeString) {
+  if (!timeString) return Date.now();
+
+  const now = Date.now();
+  const lowerTime = timeString.toLowerCase().trim();
+
+  // Match patterns like "2h", "5m ago", "3 days"
+  const match = lowerTime.match(/(\d+)\s*(s|sec|second|m|min|minute|h|hour|d|day|w|week|mo|month|y|year)/);
+
+  if (!match) return now;
+
+  const value = parseInt(match[1]);
+  const unit = match[2];
+
+  let milliseconds = 0;
+
+  switch (unit[0]) {
+    case 's': // seconds
+      milliseconds = value * 1000;
+      break;
+    case 'm': // minutes
+      if (unit === 'mo' || unit === 'month') {
+        milliseconds = value * 30 * 24 * 60 * 60 * 1000; // approximate
+      } else {
+        milliseconds = value * 60 * 1000;
+      }
+      break;
+    case 'h': // hours
+      milliseconds = value * 60 * 60 * 1000;
+      break;
+    case 'd': // days
+      milliseconds = value * 24 * 60 * 60 * 1000;
+      break;
+    case 'w': // weeks
+      milliseconds = value * 7 * 24 * 60 * 60 * 1000;
+      break;
+    case 'y': // years
+      milliseconds = value * 365 * 24 * 60 * 60 * 1000;
+      break;
+  }
+
+  return now - milliseconds;
+}
+
+// Timestamp from a <time datetime> element, or null
+function parseTimeElement(timeElement) {
+  const datetime = timeElement?.getAttribute('datetime');
+  const time = datetime ? new Date(datetime).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// First number in a label or counter ("1,234 Likes" -> 1234, none -> 0)
+function countFromText(text) {
+  const match = (text || '').match(/\d[\d,]*/);
+  return match ? parseInt(match[0].replace(/,/g, ''), 10) : 0;
+}
+
+// Host name without "www." (null if the URL can't be parsed)
+function linkDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Duration in seconds from a loaded media element, or from a "1:23"
+// style label somewhere in its player
+function mediaDuration(element, player) {
+  if (element && isFinite(element.duration) && element.duration > 0) {
+    return Math.round(element.duration);
+  }
+  const label = Array.from(player?.querySelectorAll('span, div') || [])
+    .map(el => el.textContent.trim())
+    .find(text => /^\d+:\d{2}(:\d{2})?$/.test(text));
+  if (!label) return null;
+  return label.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+// Shared label vocabulary across platforms, e.g. "Adult Content" -> "porn"
+function normalizeSensitivityLabel(text) {
+  const label = text.trim().toLowerCase();
+  const known = {
+    'adult content': 'porn',
+    'adult': 'porn',
+    'sexually suggestive': 'sexual',
+    'nudity': 'nudity',
+    'non-sexual nudity': 'nudity',
+    'graphic media': 'graphic-media',
+    'graphic content': 'graphic-media',
+    'violence': 'graphic-media',
+    'nsfw': 'porn',
+    'spoiler': 'content-warning'
+  };
+  return known[label] || label.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'sensitive';
+}
+
+// Post elements on the page: the first selector with matches wins, then
+// the adapter's own fallback
+function findPostElements(adapter) {
+  for (const selector of adapter.selectors.posts) {
+    try {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        return Array.from(elements);
+      }
+    } catch (error) {
+      // Some selectors (like :has) may not work in all contexts
+    }
+  }
+  return adapter.findPosts ? adapter.findPosts() : [];
+}
+
+// Build a post from an element: id and platform, then every field
+// extractor. Returns null for elements that aren't (usable) posts.
+function extractPost(adapter, element, id, conversation) {
+  if (adapter.skip?.(element)) return null;
+
+  const context = { conversation, ...adapter.context?.(element) };
+  const post = { id, platform: adapter.platform };
+  for (const [field, extract] of Object.entries(adapter.fields)) {
+    post[field] = extract(element, context);
+  }
+  post.scrapedAt = Date.now();
+  return post.url ? post : null;
+}
+
+// Start collecting posts for a platform.
+//
+// adapter: {
+//   platform, name,
+//   selectors: {
+//     posts: [...],   post containers, first selector with matches wins
+//     added: '...',   added nodes matching (or containing) this trigger a scan
+//     root: [...]     element to observe, first match (default body)
+//   },
+//   renderDelay,      ms to wait for the app to render on load and navigation
+//   findPosts(),      fallback when no post selector matches
+//   id(element),      the post's id, null to skip the element
+//   skip(element),    true for elements to ignore (ads)
+//   conversation(elements), element -> { parentId, rootId } on thread pages
+//   context(element), lookups shared by the field extractors
+//   fields: { name: (element, context) => value }, context includes
+//           `conversation` for the element
+// }
+function registerPlatformAdapter(adapter) {
+  // Engagement each post was last sent with, by id (and parent when seen
+  // with thread context)
+  const sentPosts = new Map();
+  const renderDelay = adapter.renderDelay || 0;
+
+  function sendPost(post) {
+    chrome.runtime.sendMessage({
+      type: 'NEW_POST',
+      data: post
+    }).catch(err => {
+      console.error(`Failed to send ${adapter.name} post:`, err);
+    });
+  }
+
+  // Scan the page and send every post not sent yet, or whose engagement
+  // changed since it was sent (the background keeps each reading)
+  function scan() {
+    const elements = findPostElements(adapter);
+    const conversation = adapter.conversation ? adapter.conversation(elements) : new Map();
+
+    elements.forEach(element => {
+      const thread = conversation.get(element) || null;
+      try {
+        const id = adapter.id(element);
+        // Seen again with thread context counts as new
+        const sentKey = thread ? `${id}:${thread.parentId}` : id;
+        if (!id) return;
+
+        const post = extractPost(adapter, element, id, thread);
+        const signature = JSON.stringify(post?.engagement || {});
+        if (post && sentPosts.get(sentKey) !== signature) {
+          sentPosts.set(sentKey, signature);
+          sendPost(post);
+        }
+      } catch (error) {
+        console.error(`Error extracting ${adapter.name} post data:`, error);
+      }
+    });
+  }
+
+  const debouncedScan = debounce(scan, ADAPTER_SCAN_DEBOUNCE);
+
+  // Initial scan when script loads
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => setTimeout(scan, renderDelay));
+  } else {
+    setTimeout(scan, renderDelay);
+  }
+
+  // Monitor DOM changes for new posts (infinite scroll, real-time updates)
+  const observer = new MutationObserver((mutations) => {
+    const hasNewPosts = mutations.some(mutation => {
+      return Array.from(mutation.addedNodes).some(node => {
+        return node.nodeType === Node.ELEMENT_NODE &&
+               (node.matches(adapter.selectors.added) || !!node.querySelector(adapter.selectors.added));
+      });
+    });
+
+    if (hasNewPosts) {
+      debouncedScan();
+    }
+  });
+
+  const targetNode = (adapter.selectors.root || [])
+    .map(selector => document.querySelector(selector))
+    .find(Boolean) || document.body;
+  observer.observe(targetNode, {
+    childList: true,
+    subtree: true
+  });
+
+  // Listen for visibility changes (tab switching)
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+      setTimeout(scan, ADAPTER_VISIBLE_DELAY);
+    }
+  });
+
+  // Handle navigation within single-page apps
+  let lastUrl = location.href;
+  new MutationObserver(() => {
+    if (location.href !== lastUrl) {
+      lastUrl = location.href;
+      // URL changed, send everything on the new page
+      sentPosts.clear();
+      setTimeout(scan, renderDelay);
+    }
+  }).observe(document, { subtree: true, childList: true });
+
+  // Periodic rescan to catch any missed posts
+  setInterval(scan, ADAPTER_RESCAN_INTERVAL);
+
+  // Refresh from the feed: send everything again with current engagement
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'RESCAN') {
+      sentPosts.clear();
+      scan();
+    }
+  });
+
+  console.log(`${adapter.name} scraper content script initialized`);
+}
@@ -0,0 +1,206 @@
+// akkoma-scraper.js
+// Pleroma and Akkoma, through their web frontend (Pleroma-FE and its
+// Akkoma fork), which draws every status as a .Status component
+(function() {
+  'use strict';
+
+  // Status permalinks: /notice/{id}
+  const NOTICE_PATH = /\/notice\/([^\/\?#]+)/;
+
+  // The status's own link wraps its time in the heading
+  function getPermalink(status) {
+    return status.querySelector('.status-heading a.timeago') ||
+           status.querySelector('.status-heading a[href*="/notice/"]');
+  }
+
+  function getStatusId(status) {
+    return getPermalink(status)?.href.match(NOTICE_PATH)?.[1] || null;
+  }
+
+  // Attachments of a status (or quoted status) as typed media entries
+  function extractMedia(root, include = () => true) {
+    const media = [];
+
+    root.querySelectorAll('.Attachment').forEach(attachment => {
+      if (!include(attachment)) return;
+      const video = attachment.querySelector('video');
+      const audio = attachment.querySelector('audio');
+      const img = attachment.querySelector('img');
+      const link = attachment.querySelector('a[href]');
+
+      if (video || audio) {
+        const player = video || audio;
+        media.push({
+          type: audio ? 'audio' : attachment.matches('.-type-gifv, .-loops') ? 'gif' : 'video',
+          url: player.src || player.querySelector('source')?.src || link?.href || null,
+          thumbnail: video?.poster || null,
+          width: video?.videoWidth || null,
+          height: video?.videoHeight || null,
+          alt: player.title || player.getAttribute('alt') || null,
+          duration: mediaDuration(player, attachment)
+        });
+      } else if (img) {
+        media.push({
+          type: 'image',
+          url: link?.href || img.src,
+          thumbnail: img.src,
+          width: img.naturalWidth || null,
+          height: img.naturalHeight || null,
+          alt: img.alt || img.title || null,
+          duration: null
+        });
+      }
+    });
+
+    return media;
+  }
+
+  // Links in the text (not mentions or hashtags) plus the link preview card
+  function extractLinks(status, textElement, include) {
+    const links = new Map(); // URL -> link
+
+    textElement?.querySelectorAll('a[href]:not(.mention):not(.hashtag):not([rel~="tag"])').forEach(anchor => {
+      if (!/^https?:/.test(anchor.href) || anchor.closest('.h-card')) return;
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: null,
+        description: null,
+        domain: linkDomain(anchor.href),
+        thumbnail: null
+      });
+    });
+
+    const card = Array.from(status.querySelectorAll('.link-preview-card')).find(include);
+    const cardLink = card?.matches('a[href]') ? card : card?.querySelector('a[href]');
+    if (cardLink) {
+      const title = card.querySelector('.card-title');
+      const description = card.querySelector('.card-description');
+      const thumbnail = card.querySelector('.card-image img');
+      links.set(cardLink.href, {
+        url: cardLink.href,
+        title: title ? title.textContent.trim() : null,
+        description: description ? description.textContent.trim() : null,
+        domain: card.querySelector('.card-host')?.textContent.trim() || linkDomain(cardLink.href),
+        thumbnail: thumbnail ? thumbnail.src : null
+      });
+    }
+
+    return Array.from(links.values());
+  }
+
+  // Name, handle ("user" or "user@host") and avatar from a status heading
+  function extractAuthor(status) {
+    const nameElement = status.querySelector('.status-heading .status-username');
+    const accountElement = status.querySelector('.status-heading .account-name');
+    const avatarImg = status.querySelector('.status-container > .left-side .avatar img, .post-avatar img');
+    return {
+      name: nameElement ? nameElement.textContent.trim() : '',
+      handle: accountElement ? accountElement.textContent.trim().replace(/^@/, '') : '',
+      avatar: avatarImg ? avatarImg.src : ''
+    };
+  }
+
+  // Count beside an action button
+  function actionCount(status, buttonClass) {
+    const counter = status.querySelector(`.status-actions .${buttonClass} .action-counter`);
+    return counter ? countFromText(counter.textContent) : 0;
+  }
+
+  registerFediverseAdapter('akkoma', {
+    name: 'Akkoma',
+    selectors: {
+      posts: ['div.Status'],
+      added: '.Status, .status-fadein',
+      root: ['#content', '#app']
+    },
+
+    // Wait a bit for the Vue app to render
+    renderDelay: 1000,
+
+    id: getStatusId,
+
+    // Quoted statuses are drawn as a .Status inside the quoting one
+    skip: status => !!status.parentElement?.closest('.Status'),
+
+    context: status => {
+      const quoteElement = status.querySelector('.Status');
+      const outsideQuote = el => !quoteElement || !quoteElement.contains(el);
+      const permalinkLink = getPermalink(status);
+      return {
+        permalinkLink,
+        timeElement: permalinkLink.querySelector('time'),
+        quoteElement,
+        outsideQuote,
+        textElement: Array.from(status.querySelectorAll('.StatusBody .text, .status-content')).find(outsideQuote)
+      };
+    },
+
+    fields: {
+      instance: () => location.host,
+
+      url: (status, { permalinkLink }) => permalinkLink.href,
+
+      author: extractAuthor,
+
+      content: (status, { textElement }) => textElement ? textElement.textContent.trim() : '',
+
+      timestamp: (status, { timeElement }) =>
+        parseTimeElement(timeElement) || parseRelativeTime(timeElement?.textContent || ''),
+
+      timestampText: (status, { timeElement }) => timeElement ? timeElement.textContent.trim() : '',
+
+      engagement: status => ({
+        replies: actionCount(status, 'ReplyButton'),
+        boosts: actionCount(status, 'RetweetButton'),
+        favorites: actionCount(status, 'FavoriteButton')
+      }),
+
+      media: (status, { outsideQuote }) => extractMedia(status, outsideQuote),
+
+      links: (status, { textElement, outsideQuote }) => extractLinks(status, textElement, outsideQuote),
+
+      // Subject line (CW) and media marked sensitive
+      sensitivity: (status, { outsideQuote }) => {
+        const summary = Array.from(status.querySelectorAll('.summary-wrapper .summary')).find(outsideQuote);
+        const sensitiveMedia = Array.from(status.querySelectorAll('.Attachment.-nsfw, .Attachment .nsfw')).some(outsideQuote);
+        if (!summary && !sensitiveMedia) return null;
+        return {
+          labels: [summary ? 'content-warning' : 'sensitive'],
+          summary: summary ? summary.textContent.trim() : null,
+          mediaOnly: !summary
+        };
+      },
+
+      // "Name repeated" bar above the status
+      reposter: status => {
+        const repeater = status.querySelector('.repeat-info .repeater-name');
+        return repeater ? repeater.textContent.trim() : null;
+      },
+
+      // "Reply to @name" under the heading links the parent status
+      inReplyTo: status => {
+        const replyLink = status.querySelector('.heading-reply-row a.reply-to-link, .heading-reply-row a[href*="/notice/"]');
+        if (!replyLink) return null;
+        // .reply-to-text is the "Reply to" label; the name is a mention link
+        const replyName = status.querySelector('.heading-reply-row .mention-link');
+        return {
+          id: replyLink.href.match(NOTICE_PATH)?.[1] || null,
+          handle: replyName ? replyName.textContent.trim().replace(/^@/, '') : null
+        };
+      },
+
+      quoted: (status, { quoteElement }) => {
+        if (!quoteElement) return null;
+        const permalinkLink = getPermalink(quoteElement);
+        const text = quoteElement.querySelector('.StatusBody .text, .status-content');
+        return {
+          author: extractAuthor(quoteElement),
+          content: text ? text.textContent.trim() : '',
+          url: permalinkLink ? permalinkLink.href : null,
+          media: extractMedia(quoteElement),
+          timestamp: parseTimeElement(permalinkLink?.querySelector('time'))
+        };
+      }
+    }
+  });
+})();
@@ -0,0 +1,491 @@
+// archive.js
+// IndexedDB-backed post archive, loaded into the background service worker
+'use strict';
+
+const ARCHIVE_DB_NAME = 'socialagg-archive';
+const ARCHIVE_DB_VERSION = 10;
+const POSTS_STORE = 'posts';
+
+// Writes are buffered and flushed in a single transaction
+const ARCHIVE_FLUSH_DELAY = 500;
+
+let archiveDbPromise = null;
+let pendingWrites = new Map(); // key -> post
+let flushTimeout = null;
+
+// Stable archive key for a post (IDs are only unique within a platform)
+function postKey(post) {
+  return `${post.platform}:${post.id}`;
+}
+
+// Per-platform author key, e.g. "bluesky:alex.bsky.social"
+function authorKey(platform, handle) {
+  return `${platform}:${(handle || '').toLowerCase()}`;
+}
+
+function postAuthorKey(post) {
+  return authorKey(post.platform, post.author?.handle);
+}
+
+// When the retention policy starts counting a post's age: imported posts
+// keep their original scrapedAt but count from the import
+function retainedFrom(post) {
+  return Math.max(post.scrapedAt || 0, post.importedAt || 0);
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has committed
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Open (and create or upgrade) the archive database
+function openArchive() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        upgradeArchive(request.result, event.oldVersion, request.transaction);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        archiveDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+// Schema migrations, one block per version
+function upgradeArchive(db, oldVersion, tx) {
+  if (oldVersion < 1) {
+    const posts = db.createObjectStore(POSTS_STORE, { keyPath: 'key' });
+    posts.createIndex('platform', 'platform');
+    posts.createIndex('author', 'author.handle');
+    posts.createIndex('timestamp', 'timestamp');
+    posts.createIndex('scrapedAt', 'scrapedAt');
+  }
+
+  if (oldVersion < 2) {
+    // Case-insensitive platform:handle lookups
+    const posts = tx.objectStore(POSTS_STORE);
+    posts.createIndex('authorKey', 'authorKey');
+
+    posts.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, authorKey: postAuthorKey(cursor.value) });
+      cursor.continue();
+    };
+  }
+
+  if (oldVersion < 3) {
+    // Reply threads
+    const posts = tx.objectStore(POSTS_STORE);
+    posts.createIndex('threadRootKey', 'threadRootKey');
+    posts.createIndex('threadKey', 'threadKey');
+  }
+
+  if (oldVersion < 4) {
+    // Typed media entries replace the `images` URL list
+    tx.objectStore(POSTS_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.images) {
+        cursor.update(upgradeLegacyMedia({ ...cursor.value }));
+      }
+      cursor.continue();
+    };
+  }
+
+  if (oldVersion < 5) {
+    // Mastodon's `hasContentWarning` flag becomes `sensitivity`
+    tx.objectStore(POSTS_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if ('hasContentWarning' in cursor.value) {
+        cursor.update(upgradeLegacyContentWarning({ ...cursor.value }));
+      }
+      cursor.continue();
+    };
+  }
+
+  if (oldVersion < 6) {
+    // Posts hidden by filter rules (only they have `filteredBy`)
+    tx.objectStore(POSTS_STORE).createIndex('filteredBy', 'filteredBy');
+  }
+
+  if (oldVersion < 7) {
+    // Unread posts (only they have `unread`); everything archived before
+    // read tracking existed counts as read
+    tx.objectStore(POSTS_STORE).createIndex('unread', 'unread');
+  }
+
+  if (oldVersion < 8) {
+    // Bookmarked and collected posts, kept apart from the rolling archive
+    db.createObjectStore('bookmarks', { keyPath: 'key' });
+  }
+
+  if (oldVersion < 9) {
+    // Retention counts from the later of scraping and importing
+    const posts = tx.objectStore(POSTS_STORE);
+    posts.createIndex('retainedFrom', 'retainedFrom');
+
+    posts.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, retainedFrom: retainedFrom(cursor.value) });
+      cursor.continue();
+    };
+  }
+
+  if (oldVersion < 10) {
+    // Subreddits and other communities (only their posts have `community`)
+    tx.objectStore(POSTS_STORE).createIndex('community', 'community');
+  }
+}
+
+// Convert the old `hasContentWarning` flag into a sensitivity entry
+function upgradeLegacyContentWarning(post) {
+  if (post.hasContentWarning && !post.sensitivity) {
+    post.sensitivity = { labels: ['content-warning'], summary: null, mediaOnly: false };
+  }
+  delete post.hasContentWarning;
+  return post;
+}
+
+// Convert the old `images` array of URLs into media entries
+function upgradeLegacyMedia(post) {
+  if (Array.isArray(post.images) && !post.media) {
+    post.media = post.images.map(src => ({
+      type: 'image',
+      url: src,
+      thumbnail: src,
+      width: null,
+      height: null,
+      alt: null,
+      duration: null
+    }));
+  }
+  delete post.images;
+  return post;
+}
+
+// Fill in the fields the archive indexes on
+function normalizePost(post) {
+  post.key = postKey(post);
+  post.authorKey = postAuthorKey(post);
+  if (post.images) {
+    upgradeLegacyMedia(post);
+  }
+  if ('hasContentWarning' in post) {
+    upgradeLegacyContentWarning(post);
+  }
+  if (!post.scrapedAt) {
+    post.scrapedAt = Date.now();
+  }
+  // Scrapers occasionally hand over relative strings like "2h"
+  if (typeof post.timestamp !== 'number' || isNaN(post.timestamp)) {
+    post.timestamp = post.scrapedAt;
+  }
+  post.retainedFrom = retainedFrom(post);
+  return post;
+}
+
+// Queue a post to be written to the archive
+function archivePut(post) {
+  normalizePost(post);
+  pendingWrites.set(post.key, post);
+
+  if (!flushTimeout) {
+    flushTimeout = setTimeout(() => {
+      flushArchiveWrites().catch(error => {
+        console.error('Failed to write posts to archive:', error);
+      });
+    }, ARCHIVE_FLUSH_DELAY);
+  }
+}
+
+// Write all queued posts in one transaction
+async function flushArchiveWrites() {
+  clearTimeout(flushTimeout);
+  flushTimeout = null;
+
+  if (pendingWrites.size === 0) return;
+
+  const batch = Array.from(pendingWrites.values());
+  pendingWrites = new Map();
+
+  const db = await openArchive();
+  const tx = db.transaction(POSTS_STORE, 'readwrite');
+  const store = tx.objectStore(POSTS_STORE);
+  batch.forEach(post => store.put(post));
+  await transactionDone(tx);
+}
+
+// Get a single post by archive key
+async function archiveGet(key) {
+  if (pendingWrites.has(key)) {
+    return pendingWrites.get(key);
+  }
+
+  const db = await openArchive();
+  const result = await requestToPromise(
+    db.transaction(POSTS_STORE).objectStore(POSTS_STORE).get(key)
+  );
+  return result || null;
+}
+
+// Get several posts by archive key, skipping keys that no longer exist
+async function archiveGetMany(keys) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  const store = db.transaction(POSTS_STORE).objectStore(POSTS_STORE);
+  const results = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+  return results.filter(Boolean);
+}
+
+// Get every post with an exact value in one index
+async function archiveGetByIndex(index, value) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  return requestToPromise(
+    db.transaction(POSTS_STORE).objectStore(POSTS_STORE).index(index).getAll(value)
+  );
+}
+
+// Total number of archived posts, or of posts present in `index`
+async function archiveCount(index = null) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  const store = db.transaction(POSTS_STORE).objectStore(POSTS_STORE);
+  return requestToPromise(index ? store.index(index).count() : store.count());
+}
+
+// Posts per value of `index`, walking keys only:
+// [{ value, count, key }] where `key` is one post with that value
+async function archiveIndexCounts(index) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+
+  return new Promise((resolve, reject) => {
+    const counts = [];
+    const request = db.transaction(POSTS_STORE).objectStore(POSTS_STORE).index(index).openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(counts);
+        return;
+      }
+      const last = counts[counts.length - 1];
+      if (last && indexedDB.cmp(last.value, cursor.key) === 0) {
+        last.count++;
+      } else {
+        counts.push({ value: cursor.key, count: 1, key: cursor.primaryKey });
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read one page of posts in index order, skipping posts the filter rejects
+async function archivePage({ index = 'timestamp', direction = 'prev', filter = null, offset = 0, limit = 100 } = {}) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+
+  return new Promise((resolve, reject) => {
+    const posts = [];
+    let skipped = 0;
+    let advanced = false;
+
+    const request = db.transaction(POSTS_STORE)
+      .objectStore(POSTS_STORE)
+      .index(index)
+      .openCursor(null, direction);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ posts, hasMore: false });
+        return;
+      }
+
+      // Without a filter the offset can be skipped in one step
+      if (!filter && offset > 0 && !advanced) {
+        advanced = true;
+        cursor.advance(offset);
+        return;
+      }
+
+      const post = cursor.value;
+      if (!filter || filter(post)) {
+        if (filter && skipped < offset) {
+          skipped++;
+        } else if (posts.length < limit) {
+          posts.push(post);
+        } else {
+          resolve({ posts, hasMore: true });
+          return;
+        }
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read every post the filter accepts (for sorts no index can serve)
+async function archiveScan(filter = null) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+
+  return new Promise((resolve, reject) => {
+    const posts = [];
+    const request = db.transaction(POSTS_STORE).objectStore(POSTS_STORE).openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(posts);
+        return;
+      }
+      if (!filter || filter(cursor.value)) {
+        posts.push(cursor.value);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Delete every post the predicate matches, returns the number removed
+async function archiveDeleteWhere(predicate) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  const tx = db.transaction(POSTS_STORE, 'readwrite');
+  let removed = 0;
+
+  const request = tx.objectStore(POSTS_STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (predicate(cursor.value)) {
+      cursor.delete();
+      removed++;
+    }
+    cursor.continue();
+  };
+
+  await transactionDone(tx);
+  return removed;
+}
+
+// Rewrite every post the predicate matches, returns the number updated
+async function archiveUpdateWhere(predicate, update) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  const tx = db.transaction(POSTS_STORE, 'readwrite');
+  let updated = 0;
+
+  const request = tx.objectStore(POSTS_STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (predicate(cursor.value)) {
+      cursor.update(update(cursor.value));
+      updated++;
+    }
+    cursor.continue();
+  };
+
+  await transactionDone(tx);
+  return updated;
+}
+
+// Remove everything from the archive
+async function archiveClear() {
+  pendingWrites = new Map();
+  clearTimeout(flushTimeout);
+  flushTimeout = null;
+
+  const db = await openArchive();
+  const tx = db.transaction(POSTS_STORE, 'readwrite');
+  tx.objectStore(POSTS_STORE).clear();
+  await transactionDone(tx);
+}
+
+// Delete the records a cursor walks over, up to `limit`
+function deleteAlongCursor(request, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    let removed = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || removed >= limit) {
+        resolve(removed);
+        return;
+      }
+      cursor.delete();
+      removed++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Apply the retention policy: drop posts older than maxAgeDays, then the
+// oldest posts beyond maxPosts. A value of 0 disables that limit.
+async function enforceRetention({ maxAgeDays = 0, maxPosts = 0 } = {}) {
+  await flushArchiveWrites();
+  const db = await openArchive();
+  let removed = 0;
+
+  // Age limit: everything scraped (or imported) before the cutoff
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const tx = db.transaction(POSTS_STORE, 'readwrite');
+    const request = tx.objectStore(POSTS_STORE)
+      .index('retainedFrom')
+      .openCursor(IDBKeyRange.upperBound(cutoff, true));
+    removed += await deleteAlongCursor(request);
+    await transactionDone(tx);
+  }
+
+  // Size limit: trim the posts scraped (or imported) longest ago
+  if (maxPosts > 0) {
+    const tx = db.transaction(POSTS_STORE, 'readwrite');
+    const store = tx.objectStore(POSTS_STORE);
+    const excess = await requestToPromise(store.count()) - maxPosts;
+    if (excess > 0) {
+      removed += await deleteAlongCursor(store.index('retainedFrom').openCursor(), excess);
+    }
+    await transactionDone(tx);
+  }
+
+  return removed;
+}
+
+// Move the old chrome.storage `unifiedFeed` array into the archive
+async function migrateLegacyFeed() {
+  const result = await chrome.storage.local.get(['unifiedFeed']);
+  if (!Array.isArray(result.unifiedFeed)) return;
+
+  result.unifiedFeed.forEach(post => archivePut(post));
+  await flushArchiveWrites();
+  await chrome.storage.local.remove('unifiedFeed');
+
+  console.log(`Migrated ${result.unifiedFeed.length} posts into the archive`);
+}
@@ -1,26 +1,27 @@
 // background.js
 'use strict';
 
-// Store for unified feed data
-let unifiedFeed = [];
-const MAX_FEED_SIZE = 500; // Limit to prevent memory issues
+// Post archive (IndexedDB)
+importScripts('settings.js', 'archive.js', 'search.js', 'identities.js', 'crossposts.js', 'threads.js', 'links.js', 'rules.js', 'collections.js', 'engagement.js', 'watch.js', 'export.js', 'import.js', 'fediverse.js', 'platforms.js', 'mastodon-api.js');
+
+// Posts per GET_FEED page
+const FEED_PAGE_SIZE = 100;
+
+// Fields the archive owns rather than the scrapers, kept when a post is re-scraped
+const PRESERVED_POST_FIELDS = ['crosspostOf', 'crossposts', 'crosspostPlatforms', 'threadRootKey', 'threadKey', 'unread', 'readAt', 'notifiedAt'];
+
+// Current settings, kept in sync with storage
+let settings = normalizeSettings();
 
 // Track which tabs are being monitored
 let monitoredTabs = new Map(); // tabId -> { url, platform, lastUpdate }
 
 // Initialize storage on installation
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   console.log('Social Feed Aggregator installed');
   
-  // Initialize storage
-  chrome.storage.local.set({
-    unifiedFeed: [],
-    settings: {
-      sortBy: 'chronological', // 'chronological' or 'engagement'
-      showNotifications: true,
-      autoRefresh: true
-    }
-  });
+  // Initialize settings, migrating an existing configuration
+  settings = await saveSettings({});
   
   // Scan existing tabs
   scanExistingTabs();
@@ -37,45 +38,44 @@ async function scanExistingTabs() {
   }
 }
 
-// Check if URL is X, BlueSky, or Mastodon
+// Check if URL is X, BlueSky, a fediverse server, Threads or Reddit
 function isSocialMediaTab(url) {
   if (!url) return false;
   
-  const isTwitter = url.includes('twitter.com') || url.includes('x.com');
-  const isBlueSky = url.includes('bsky.app');
-  const isMastodon = url.includes('mastodon') || 
-                     url.includes('fosstodon') ||
-                     url.includes('hachyderm') ||
-                     url.match(/https?:\/\/[^\/]+\.(social|exchange)/); // Common Mastodon domains
+  const platform = getPlatform(url);
+  if (platform === 'unknown') return false;
   
-  if (!isTwitter && !isBlueSky && !isMastodon) return false;
+  const isThreads = platform === 'threads';
+  const isReddit = platform === 'reddit';
+  const isMastodon = platform === 'mastodon';
   
   // Exclude profile pages and individual status/post pages
   if (url.includes('/profile') || url.includes('/status') || url.includes('/post/') || url.includes('/trending/') || url.includes('/search')) {
     return false;
   }
   
-  // For Mastodon, also exclude user profile pages (/@username)
-  if (isMastodon && url.match(/\/@[\w]+$/)) {
+  // For Reddit, exclude comment pages and user profiles
+  if (isReddit && (url.includes('/comments/') || url.match(/\/(user|u)\//))) {
+    return false;
+  }
+  
+  // For the fediverse, exclude Misskey note and Pleroma/Akkoma notice pages
+  if (isMastodon && (url.includes('/notes/') || url.includes('/notice/'))) {
+    return false;
+  }
+  
+  // For the fediverse and Threads, also exclude user profile pages (/@username)
+  if ((isMastodon || isThreads) && url.match(/\/@[\w.]+\/?$/)) {
     return false;
   }
   
   return true;
 }
 
-// Determine platform from URL
+// Determine platform from URL, using the manifest's sites and the fediverse
+// instances the user added ('mastodon' is every fediverse server)
 function getPlatform(url) {
-  if (url.includes('twitter.com') || url.includes('x.com')) {
-    return 'twitter';
-  }
-  else if (url.includes('bsky.app')) {
-    return 'bluesky';
-  }
-  else if (url.includes('mastodon') || url.includes('fosstodon') || 
-      url.includes('hachyderm') || url.match(/\.(social|exchange)/)) {
-    return 'mastodon';
-  }
-  return 'unknown';
+  return platformForUrl(url) || 'unknown';
 }
 
 
@@ -100,25 +100,191 @@ function unmonitorTab(tabId) {
     console.log(`Stopped monitoring tab ${tabId}`);
     monitoredTabs.delete(tabId);
     
-    // Remove posts from this tab from the feed
-    cleanupTabPosts(tabId);
+    // Posts from this tab stay in the archive, but are no longer live
+    orphanTabPosts(post => post.sourceTabId === tabId);
   }
 }
 
-// Remove posts from closed tab
-function cleanupTabPosts(tabId) {
-  unifiedFeed = unifiedFeed.filter(post => post.sourceTabId !== tabId);
-  saveFeedToStorage();
+// Stop monitoring tabs on sites no longer collected (a removed instance)
+function unmonitorUncollectedTabs() {
+  for (const [tabId, tabInfo] of monitoredTabs.entries()) {
+    if (!isSocialMediaTab(tabInfo.url)) {
+      unmonitorTab(tabId);
+    }
+  }
+}
+
+// Stamp posts whose source tab has gone away, so closed-tab expiry can apply.
+// Posts that never had a tab (API syncs, imports) are left alone.
+async function orphanTabPosts(isFromClosedTab) {
+  const orphanedAt = Date.now();
+  await archiveUpdateWhere(
+    post => !post.orphanedAt && post.sourceTabId !== undefined && isFromClosedTab(post),
+    post => ({ ...post, orphanedAt })
+  );
+}
+
+// After a restart, tab IDs from the previous session no longer exist
+async function reconcileTabPosts() {
+  const tabs = await chrome.tabs.query({});
+  const openTabIds = new Set(tabs.map(tab => tab.id));
+  await orphanTabPosts(post => !openTabIds.has(post.sourceTabId));
+}
+
+// Delete orphaned posts once their platform's closed-tab expiry has passed
+async function expireClosedTabPosts(closedTabExpiry) {
+  const now = Date.now();
+  return archiveDeleteWhere(post => {
+    const hours = closedTabExpiry[post.platform] || 0;
+    return post.orphanedAt && hours > 0 && now - post.orphanedAt > hours * 60 * 60 * 1000;
+  });
 }
 
 // Listen for new posts from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'NEW_POST') {
-    handleNewPost(message.data, sender.tab?.id);
+    handleNewPost(message.data, sender.tab?.id).catch(error => {
+      console.error('Failed to store post:', error);
+    });
     sendResponse({ success: true });
   }
   else if (message.type === 'GET_FEED') {
-    sendResponse({ feed: getSortedFeed(message.sortBy) });
+    getFeedPage(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  }
+  else if (message.type === 'EXPORT_FEED') {
+    exportFeed(message)
+      .then(file => sendResponse({ success: true, ...file }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'IMPORT_ARCHIVE') {
+    importArchive(message.content)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_TOP_LINKS') {
+    getTopLinks()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  }
+  else if (message.type === 'GET_AUTHORS') {
+    getAuthorSummary()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  }
+  else if (message.type === 'GET_COMMUNITIES') {
+    getCommunitySummary()
+      .then(communities => sendResponse({ communities }))
+      .catch(error => sendResponse({ error: error.message }));
+  }
+  else if (message.type === 'LINK_AUTHORS') {
+    linkAuthors(message.keys, message.name)
+      .then(identity => regroupIdentityPosts(identity.members).then(() => sendResponse({ success: true, id: identity.id })))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'REJECT_IDENTITY_SUGGESTION') {
+    rejectIdentitySuggestion(message.keys)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'UNLINK_IDENTITY') {
+    unlinkIdentity(message.id)
+      .then(identity => identity && regroupIdentityPosts(identity.members))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_FILTER_RULES') {
+    sendResponse({ rules: getFilterRules() });
+  }
+  else if (message.type === 'ADD_FILTER_RULE') {
+    addFilterRule(message.rule)
+      .then(rule => refilterArchive().then(() => sendResponse({ success: true, rule })))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'REMOVE_FILTER_RULE') {
+    removeFilterRule(message.id)
+      .then(refilterArchive)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_WATCH_RULES') {
+    sendResponse({ rules: getWatchRules() });
+  }
+  else if (message.type === 'ADD_WATCH_RULE') {
+    addWatchRule(message.rule)
+      .then(rule => sendResponse({ success: true, rule }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'REMOVE_WATCH_RULE') {
+    removeWatchRule(message.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_INSTANCES') {
+    sendResponse({ instances: getInstances() });
+  }
+  else if (message.type === 'ADD_INSTANCE') {
+    addInstance(message.host)
+      .then(instance => {
+        scanExistingTabs();
+        sendResponse({ success: true, instance });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'REMOVE_INSTANCE') {
+    removeInstance(message.host)
+      .then(() => {
+        unmonitorUncollectedTabs();
+        sendResponse({ success: true });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_MASTODON_API') {
+    sendResponse(getMastodonApiStatus());
+  }
+  else if (message.type === 'SAVE_MASTODON_API') {
+    saveMastodonApiConfig(message.config)
+      .then(() => sendResponse({ success: true, ...getMastodonApiStatus() }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'SYNC_MASTODON_API') {
+    syncMastodonApi(ingestApiPosts)
+      .then(result => sendResponse({ success: true, ...result, ...getMastodonApiStatus() }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'GET_COLLECTIONS') {
+    sendResponse({ collections: getCollectionSummaries() });
+  }
+  else if (message.type === 'GET_COLLECTION') {
+    getCollectionFeed(message.id)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+  }
+  else if (message.type === 'CREATE_COLLECTION') {
+    createCollection(message.name)
+      .then(collection => sendResponse({ success: true, collection }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'DELETE_COLLECTION') {
+    deleteCollection(message.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'SET_POST_COLLECTION') {
+    collectPost(message.key, message.collection, message.member)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'MARK_READ') {
+    markPostsRead(message.keys)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  }
+  else if (message.type === 'MARK_ALL_READ') {
+    markAllRead()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
   }
   else if (message.type === 'OPEN_POST') {
     openPostInNewTab(message.url);
@@ -129,63 +295,412 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
   }
   else if (message.type === 'CLEAR_FEED') {
-    clearFeed();
-    sendResponse({ success: true });
+    clearFeed()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
   }
   
   return true; // Keep message channel open for async response
 });
 
 // Handle new post from content script
-function handleNewPost(postData, tabId) {
+async function handleNewPost(postData, tabId) {
+  // Platforms switched off in the options page are not collected
+  if (settings.enabledPlatforms[postData.platform] === false) return;
+  
   // Add source tab ID for tracking
   postData.sourceTabId = tabId;
+  const existing = await mergePost(postData);
+  
+  if (!existing) {
+    // Notify popup to refresh if it's open
+    notifyPopup('FEED_UPDATED', { newPost: postData });
+  }
+}
+
+// Insert a post into the archive or update the stored copy, keeping the
+// fields the archive owns. Returns the previously stored copy, if any.
+async function mergePost(postData, { announce = true } = {}) {
+  normalizePost(postData);
   
-  // Check if post already exists (by ID)
-  const existingIndex = unifiedFeed.findIndex(p => p.id === postData.id);
+  // Check if post already exists (by platform and ID)
+  const existing = await archiveGet(postData.key);
   
-  if (existingIndex >= 0) {
-    // Update existing post (engagement might have changed)
-    unifiedFeed[existingIndex] = postData;
+  if (existing) {
+    PRESERVED_POST_FIELDS.forEach(field => {
+      if (existing[field] !== undefined) {
+        postData[field] = existing[field];
+      }
+    });
+    
+    // Read in either archive means read
+    if (postData.readAt) {
+      delete postData.unread;
+    }
+    
+    // Imported copies have no tab of their own
+    if (postData.sourceTabId === undefined) {
+      postData.sourceTabId = existing.sourceTabId;
+      postData.orphanedAt = existing.orphanedAt;
+    }
+    
+    // The newest engagement snapshot wins (an import can be older)
+    if (existing.scrapedAt > postData.scrapedAt) {
+      postData.engagement = existing.engagement;
+      postData.scrapedAt = existing.scrapedAt;
+    }
+    
+    // Thread references are only visible on some pages, don't forget them
+    if (!postData.inReplyTo?.id && existing.inReplyTo) {
+      postData.inReplyTo = existing.inReplyTo;
+    }
+    if (!postData.threadRootId && existing.threadRootId) {
+      postData.threadRootId = existing.threadRootId;
+    }
   } else {
-    // Add new post
-    unifiedFeed.push(postData);
+    if (!postData.readAt) {
+      postData.unread = 1;
+    }
     
-    // Notify popup to refresh if it's open
-    notifyPopup('FEED_UPDATED', { newPost: postData });
+    // Collapse into an earlier copy of the same text on another platform
+    const primary = await findCrosspostPrimary(postData);
+    if (primary) {
+      archivePut(primary);
+    }
   }
   
-  // Trim feed if too large (remove oldest posts)
-  if (unifiedFeed.length > MAX_FEED_SIZE) {
-    unifiedFeed.sort((a, b) => b.scrapedAt - a.scrapedAt);
-    unifiedFeed = unifiedFeed.slice(0, MAX_FEED_SIZE);
+  // Keep every engagement reading, not just the latest
+  postData.engagementHistory = mergeEngagementHistory(existing?.engagementHistory, postData);
+  
+  // Mute and filter rules hide the post but keep it
+  applyFilterRules(postData);
+  
+  // Desktop notification for posts matching a watch rule
+  if (announce && !isPostFiltered(postData)) {
+    checkWatchRules(postData, settings);
   }
   
-  // Save to storage periodically
-  saveFeedToStorage();
+  // Attach to its reply thread (and pull in replies that arrived first)
+  (await placeInThread(postData)).forEach(archivePut);
+  
+  // Insert or update (engagement might have changed)
+  archivePut(postData);
+  indexPost(postData);
+  await refreshCollectedPost(postData);
+  
+  return existing;
 }
 
-// Save feed to storage (debounced)
-let saveTimeout = null;
-function saveFeedToStorage() {
-  clearTimeout(saveTimeout);
-  saveTimeout = setTimeout(() => {
-    chrome.storage.local.set({ unifiedFeed: unifiedFeed });
-  }, 2000); // Save every 2 seconds max
+// Merge posts read through the Mastodon API; they have no tab, so they
+// never count as live or expire with one. Throws while Mastodon is turned
+// off, so the sync keeps its cursor and the posts are read again later.
+async function ingestApiPosts(posts) {
+  if (settings.enabledPlatforms.mastodon === false) {
+    throw new Error('Mastodon is turned off');
+  }
+  let added = 0;
+  
+  for (const post of posts) {
+    if (!await mergePost(post)) {
+      added++;
+    }
+  }
+  
+  if (added > 0) {
+    notifyPopup('FEED_UPDATED');
+  }
 }
 
-// Load feed from storage
-async function loadFeedFromStorage() {
-  const result = await chrome.storage.local.get(['unifiedFeed']);
-  if (result.unifiedFeed) {
-    unifiedFeed = result.unifiedFeed;
+// Merge the posts of a JSON export into the archive
+async function importArchive(content) {
+  const { posts, rejected } = parseImport(content);
+  let added = 0;
+  let updated = 0;
+  
+  for (const post of posts) {
+    if (await mergePost(post, { announce: false })) {
+      updated++;
+    } else {
+      added++;
+    }
   }
+  
+  if (added > 0 || updated > 0) {
+    notifyPopup('FEED_UPDATED');
+  }
+  return { added, updated, rejected };
 }
 
-// Get sorted feed
-function getSortedFeed(sortBy = 'chronological') {
-  let sorted = [...unifiedFeed];
+// Regroup cross-posts after the identity linking these authors changed
+async function regroupIdentityPosts(authorKeys) {
+  const posts = (await Promise.all(authorKeys.map(key => archiveGetByIndex('authorKey', key)))).flat();
+  regroupCrossposts(posts).forEach(archivePut);
+}
+
+// Add an archived (or already collected) post to a collection, or remove it
+async function collectPost(key, collection, member) {
+  const post = await archiveGet(key) ||
+    (await getCollectionPosts(collectionsForPost(key)[0])).find(collected => collected.key === key);
+  if (!post) {
+    throw new Error('Post is no longer archived');
+  }
+  await setPostCollection(post, collection, member);
+}
+
+// Posts in a collection, using the archived copy while it still exists
+async function getCollectionFeed(id) {
+  const collected = await getCollectionPosts(id);
+  const archived = new Map((await archiveGetMany(collected.map(post => post.key))).map(post => [post.key, post]));
+  return {
+    feed: await attachGroupedPosts(collected.map(post => archived.get(post.key) || post))
+  };
+}
+
+// Export the posts in the current view (same filters as GET_FEED), a
+// collection, or the whole archive
+async function exportFeed({ format, scope = 'view', collection = null, ...filters }) {
+  let posts;
+  if (scope === 'archive') {
+    posts = getSortedFeed(await archiveScan(), 'chronological');
+  } else if (collection) {
+    posts = await getCollectionPosts(collection);
+  } else {
+    // Search hits in threads are noted on the card, that's for display only
+    posts = (await queryFeed({ ...filters, offset: 0, limit: Infinity })).posts
+      .map(({ matchedReplies, ...post }) => post);
+  }
+  return exportPosts(posts, format);
+}
+
+// Mark posts as read (scrolled past or opened in the feed)
+async function markPostsRead(keys) {
+  const now = Date.now();
+  (await archiveGetMany(keys)).forEach(post => {
+    if (!post.unread) return;
+    delete post.unread;
+    post.readAt = now;
+    archivePut(post);
+  });
+}
+
+async function markAllRead() {
+  const now = Date.now();
+  await archiveUpdateWhere(post => !!post.unread, post => {
+    delete post.unread;
+    post.readAt = now;
+    return post;
+  });
+}
+
+// Unread cards the feed would show, per platform and in total
+async function getUnreadCounts() {
+  const counts = { all: 0, twitter: 0, bluesky: 0, mastodon: 0, threads: 0, reddit: 0 };
+  const visible = buildFeedFilter({});
+  (await archiveGetByIndex('unread', 1)).filter(visible).forEach(post => {
+    counts.all++;
+    counts[post.platform] = (counts[post.platform] || 0) + 1;
+  });
+  return counts;
+}
+
+// Re-run the filter rules over the archive after they change
+async function refilterArchive() {
+  // applyFilterRules updates the post in place and reports whether it changed
+  await archiveUpdateWhere(post => applyFilterRules(post), post => {
+    applyFilterRules(post);
+    return post;
+  });
+}
+
+// Build the predicate for the feed's platform, author, live-tab and search filters.
+// Cross-post copies and thread replies are shown inside the card that leads
+// their group, never on their own (replies pass with `threadReplies`, for
+// search to lift into their card). Posts carrying a sensitivity label the user
+// chose to hide, and (unless asked for) posts caught by filter rules, are left out.
+function buildFeedFilter({ platform = 'all', author = 'all', community = 'all', liveOnly = false, search = null, hiddenLabels = [], showFiltered = false, threadReplies = false }) {
+  return post => !post.crosspostOf &&
+                 settings.enabledPlatforms[post.platform] !== false &&
+                 (showFiltered || !isPostFiltered(post)) &&
+                 !post.sensitivity?.labels.some(label => hiddenLabels.includes(label)) &&
+                 (threadReplies || !post.threadKey || post.threadKey === post.key) &&
+                 (platform === 'all' || post.platform === platform || !!post.crosspostPlatforms?.includes(platform)) &&
+                 (author === 'all' || identityForPost(post) === author) &&
+                 (community === 'all' || post.community === community) &&
+                 (!liveOnly || monitoredTabs.has(post.sourceTabId)) &&
+                 (!search || search.matches(post));
+}
+
+// Posts the feed shows for these filters, one page of them
+async function queryFeed({ sortBy = 'chronological', platform, author, community, liveOnly, query, hiddenLabels, showFiltered, offset = 0, limit = FEED_PAGE_SIZE } = {}) {
+  const search = query?.trim() ? compileSearch(query) : null;
+  const filters = { platform, author, community, liveOnly, hiddenLabels, showFiltered };
+  const filter = buildFeedFilter({ ...filters, search, threadReplies: !!search });
+  let page;
+  
+  if (search) {
+    // Search: fetch only the posts the index matched (text terms), or check
+    // every post (operators only); matching replies show in their thread
+    const matches = search.candidates
+      ? (await archiveGetMany(Array.from(search.candidates))).filter(filter)
+      : await archiveScan(filter);
+    // The thread can be started by someone other than the author filtered on
+    const cards = await liftThreadReplies(matches, buildFeedFilter({ ...filters, author: 'all' }));
+    const sorted = getSortedFeed(cards, sortBy);
+    page = {
+      posts: sorted.slice(offset, offset + limit),
+      hasMore: sorted.length > offset + limit
+    };
+  } else if (sortBy === 'chronological' || sortBy === 'chronological-old') {
+    // Served straight from the timestamp index
+    page = await archivePage({
+      index: 'timestamp',
+      direction: sortBy === 'chronological' ? 'prev' : 'next',
+      filter,
+      offset,
+      limit
+    });
+  } else {
+    const sorted = getSortedFeed(await archiveScan(filter), sortBy);
+    page = {
+      posts: sorted.slice(offset, offset + limit),
+      hasMore: sorted.length > offset + limit
+    };
+  }
+  
+  return page;
+}
+
+// Replace search matches that are thread replies with the card leading
+// their thread, listing the matching replies in `matchedReplies`
+async function liftThreadReplies(matches, cardFilter) {
+  const cards = new Map(); // key -> card
+  
+  for (const post of matches) {
+    const isReply = !!post.threadKey && post.threadKey !== post.key;
+    const cardKey = isReply ? post.threadKey : post.key;
+    let card = cards.get(cardKey);
+    if (!card) {
+      const leader = isReply ? await archiveGet(cardKey) : post;
+      if (!leader || !cardFilter(leader)) continue;
+      // Copied, archiveGet can hand out a queued write
+      card = { ...leader };
+      cards.set(cardKey, card);
+    }
+    if (isReply) {
+      card.matchedReplies = [...(card.matchedReplies || []), post.key];
+    }
+  }
+  
+  return Array.from(cards.values());
+}
+
+// Get one page of the feed from the archive
+async function getFeedPage(options = {}) {
+  const page = await queryFeed(options);
+  return {
+    feed: await attachGroupedPosts(page.posts),
+    hasMore: page.hasMore,
+    stats: {
+      posts: await archiveCount(),
+      filtered: await archiveCount('filteredBy'),
+      unread: await getUnreadCounts(),
+      tabs: monitoredTabs.size
+    }
+  };
+}
+
+// The URLs shared most widely across the archive
+async function getTopLinks() {
+  const posts = await archiveScan(post => post.links?.length > 0);
+  return { links: rankSharedLinks(posts) };
+}
+
+// Attach each card's cross-posted copies and thread replies for rendering
+async function attachGroupedPosts(posts) {
+  return Promise.all(posts.map(async post => ({
+    ...post,
+    crosspostPosts: post.crossposts?.length ? await archiveGetMany(post.crossposts) : [],
+    threadPosts: await getThreadMembers(post),
+    collections: collectionsForPost(post.key)
+  })));
+}
+
+// Unique original authors across the archive, merged by linked identity and
+// most prolific first, plus identity link suggestions
+async function getAuthorSummary() {
+  const authors = new Map(); // authorKey -> per-platform author
   
+  // Skip reposts - they shouldn't count toward author list
+  const posts = await archiveScan(post => !post.reposter);
+  posts.forEach(post => {
+    const key = postAuthorKey(post);
+    if (!authors.has(key)) {
+      authors.set(key, {
+        key,
+        platform: post.platform,
+        handle: post.author.handle,
+        name: post.author.name,
+        avatar: post.author.avatar,
+        count: 0
+      });
+    }
+    authors.get(key).count++;
+  });
+  
+  // Merge per-platform authors into identities
+  const identities = new Map();
+  authors.forEach(author => {
+    const id = identityByAuthor.get(author.key) || author.key;
+    if (!identities.has(id)) {
+      identities.set(id, {
+        id,
+        name: identityMap.identities[id]?.name || author.name,
+        handles: [],
+        platforms: [],
+        count: 0
+      });
+    }
+    const identity = identities.get(id);
+    identity.handles.push(author.handle);
+    if (!identity.platforms.includes(author.platform)) {
+      identity.platforms.push(author.platform);
+    }
+    identity.count += author.count;
+  });
+  
+  return {
+    authors: Array.from(identities.values()).sort((a, b) => b.count - a.count),
+    suggestions: await suggestIdentityLinks(Array.from(authors.values())),
+    linked: getLinkedIdentities()
+  };
+}
+
+// Communities (subreddits) posts came from, with post counts, largest first
+async function getCommunitySummary() {
+  // Counted from the community index; the platform is the archive key's prefix
+  const communities = (await archiveIndexCounts('community')).map(({ value, count, key }) => ({
+    name: value,
+    platform: key.slice(0, key.indexOf(':')),
+    count
+  }));
+  
+  return communities.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Apply the configured retention policy and closed-tab expiry to the archive
+async function applyRetentionPolicy() {
+  const removed = await enforceRetention(settings.retention) +
+                  await expireClosedTabPosts(settings.closedTabExpiry);
+  if (removed > 0) {
+    console.log(`Retention policy removed ${removed} archived posts`);
+    const posts = await archiveScan();
+    rebuildSearchIndex(posts);
+    repairCrosspostGroups(posts).forEach(archivePut);
+  }
+}
+
+// Sort a list of posts (in place)
+function getSortedFeed(sorted, sortBy = 'chronological') {
   switch (sortBy) {
     case 'chronological':
       // Sort by actual post timestamp, not scrape time
@@ -205,23 +720,20 @@ function getSortedFeed(sortBy = 'chronological') {
       });
       break;
     
-    case 'engagement':
-      sorted.sort((a, b) => {
-        const engagementA = (a.engagement?.likes || 0) + 
-                           (a.engagement?.retweets || 0) + 
-                           (a.engagement?.reposts || 0) +
-                           (a.engagement?.boosts || 0) +
-                           (a.engagement?.favorites || 0) +
-                           (a.engagement?.replies || 0);
-        const engagementB = (b.engagement?.likes || 0) + 
-                           (b.engagement?.retweets || 0) + 
-                           (b.engagement?.reposts || 0) +
-                           (b.engagement?.boosts || 0) +
-                           (b.engagement?.favorites || 0) +
-                           (b.engagement?.replies || 0);
-        return engagementB - engagementA;
-      });
+    case 'engagement': {
+      // Normalized per platform and author, weighted and decayed per settings
+      const scores = rankByEngagement(sorted, settings.ranking);
+      sorted.sort((a, b) => scores.get(b.key) - scores.get(a.key) || b.timestamp - a.timestamp);
       break;
+    }
+    
+    case 'trending': {
+      // Fastest growing engagement first
+      const now = Date.now();
+      const velocity = new Map(sorted.map(post => [post.key, engagementVelocity(post, now)]));
+      sorted.sort((a, b) => velocity.get(b.key) - velocity.get(a.key) || b.timestamp - a.timestamp);
+      break;
+    }
     
     case 'platform':
       sorted.sort((a, b) => {
@@ -259,9 +771,9 @@ async function refreshAllTabs() {
 }
 
 // Clear entire feed
-function clearFeed() {
-  unifiedFeed = [];
-  chrome.storage.local.set({ unifiedFeed: [] });
+async function clearFeed() {
+  await archiveClear();
+  rebuildSearchIndex([]);
   notifyPopup('FEED_CLEARED');
 }
 
@@ -292,6 +804,12 @@ chrome.tabs.onCreated.addListener((tab) => {
   }
 });
 
+// Access to an added instance was revoked outside the options page
+chrome.permissions.onRemoved.addListener(async ({ origins }) => {
+  await dropRevokedInstances(origins);
+  unmonitorUncollectedTabs();
+});
+
 // Monitor tab activation to update last active time
 chrome.tabs.onActivated.addListener(({ tabId }) => {
   if (monitoredTabs.has(tabId)) {
@@ -300,8 +818,53 @@ chrome.tabs.onActivated.addListener(({ tabId }) => {
   }
 });
 
-// Load feed from storage on startup
-loadFeedFromStorage();
+// Load linked identities, filter rules, collections, added fediverse
+// instances and the Mastodon API setup, bring posts saved by older versions
+// into the archive, build the search index, pick up open tabs, then apply
+// retention
+loadSettings()
+  .then(loaded => { settings = loaded; })
+  .then(loadIdentityMap)
+  .then(loadFilterRules)
+  .then(loadWatchRules)
+  .then(loadCollections)
+  .then(loadInstances)
+  // A broken API configuration mustn't hold up the archive
+  .then(() => loadMastodonApiConfig().catch(error => console.error('Failed to load Mastodon API settings:', error)))
+  .then(migrateLegacyFeed)
+  .then(async () => rebuildSearchIndex(await archiveScan()))
+  .then(scanExistingTabs)
+  .then(reconcileTabPosts)
+  .then(applyRetentionPolicy)
+  .catch(error => console.error('Failed to prepare archive:', error));
+
+// Re-apply retention every 15 minutes and whenever the policy changes
+setInterval(applyRetentionPolicy, 15 * 60 * 1000);
+
+// Sync the Mastodon API timelines when their interval has passed (not
+// while Mastodon is turned off)
+setInterval(() => {
+  if (settings.enabledPlatforms.mastodon !== false && isMastodonApiSyncDue()) {
+    syncMastodonApi(ingestApiPosts).catch(error => console.error('Mastodon API sync failed:', error));
+  }
+}, 60 * 1000);
+
+// Announce what matched during quiet hours once they end
+setInterval(() => {
+  flushQuietMatches(settings).catch(error => console.error('Failed to send quiet hours summary:', error));
+}, 60 * 1000);
+
+// Unhide posts caught only by rules that have expired
+setInterval(async () => {
+  if (await removeExpiredFilterRules()) {
+    await refilterArchive();
+  }
+}, 60 * 1000);
+
+onSettingsChanged(updated => {
+  settings = updated;
+  applyRetentionPolicy();
+});
 
 // Keep service worker alive by periodically accessing chrome APIs
 // Service workers can terminate after 30 seconds of inactivity
@@ -313,14 +876,28 @@ setInterval(() => {
 
 console.log('Social Feed Aggregator background service worker initialized');
 
-
-// Add this to the existing background.js
-
 // Track the feed tab ID to avoid opening multiple tabs
 let feedTabId = null;
 
 // Handle extension icon click
-chrome.action.onClicked.addListener(async () => {
+chrome.action.onClicked.addListener(openFeedTab);
+
+// Open a post from its notification, or the feed for a batch
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_ID_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  
+  const key = notificationPostKey(notificationId);
+  const post = key && await archiveGet(key);
+  if (post?.url) {
+    openPostInNewTab(post.url);
+  } else {
+    openFeedTab();
+  }
+});
+
+// Focus the feed tab, opening it if needed
+async function openFeedTab() {
   // Check if feed tab is already open
   if (feedTabId) {
     try {
@@ -343,7 +920,7 @@ chrome.action.onClicked.addListener(async () => {
   });
   
   feedTabId = tab.id;
-});
+}
 
 // Clean up when feed tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
@@ -2,301 +2,204 @@
 (function() {
   'use strict';
 
-  // Track processed posts to avoid duplicates
-  const processedPosts = new Set();
-  
-  // Debounce function to limit message sending frequency
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func(...args), wait);
-    };
+  // Get the post's unique ID ("{handle}-{postId}") from its first post link
+  function getPostId(feedItem) {
+    const postMatch = feedItem.querySelector('a[href*="/post/"]')?.href
+      .match(/\/profile\/([^\/]+)\/post\/([^\/\?]+)/);
+    return postMatch ? `${postMatch[1]}-${postMatch[2]}` : null;
   }
 
-// Parse relative time strings like "2h", "5m", "3d" into timestamps
-function parseRelativeTime(timeString) {
-  if (!timeString) return Date.now();
-  
-  const now = Date.now();
-  const lowerTime = timeString.toLowerCase().trim();
-  
-  // Match patterns like "2h", "5m ago", "3 days"
-  const match = lowerTime.match(/(\d+)\s*(s|sec|second|m|min|minute|h|hour|d|day|w|week|mo|month|y|year)/);
-  
-  if (!match) return now;
-  
-  const value = parseInt(match[1]);
-  const unit = match[2];
-  
-  let milliseconds = 0;
-  
-  switch (unit[0]) {
-    case 's': // seconds
-      milliseconds = value * 1000;
-      break;
-    case 'm': // minutes
-      if (unit === 'mo' || unit === 'month') {
-        milliseconds = value * 30 * 24 * 60 * 60 * 1000; // approximate
-      } else {
-        milliseconds = value * 60 * 1000;
+  // On a thread page (/profile/{handle}/post/{postId}) every post above the
+  // focal post replies to the one before it, and the first one is the root
+  function getConversationContext(posts) {
+    const context = new Map();
+    const focalMatch = location.pathname.match(/\/profile\/([^\/]+)\/post\/([^\/\?]+)/);
+    if (!focalMatch) return context;
+
+    const ids = posts.map(getPostId);
+    const focalIndex = ids.indexOf(`${focalMatch[1]}-${focalMatch[2]}`);
+    for (let i = 1; i <= focalIndex; i++) {
+      if (ids[i] && ids[i - 1]) {
+        context.set(posts[i], { parentId: ids[i - 1], rootId: ids[0] });
       }
-      break;
-    case 'h': // hours
-      milliseconds = value * 60 * 60 * 1000;
-      break;
-    case 'd': // days
-      milliseconds = value * 24 * 60 * 60 * 1000;
-      break;
-    case 'w': // weeks
-      milliseconds = value * 7 * 24 * 60 * 60 * 1000;
-      break;
-    case 'y': // years
-      milliseconds = value * 365 * 24 * 60 * 60 * 1000;
-      break;
+    }
+    return context;
   }
-  
-  return now - milliseconds;
-}
 
+  // Off-site links: anything that isn't bsky.app or a relative app route
+  function isExternalLink(anchor) {
+    return /^https?:/.test(anchor.href) && linkDomain(anchor.href) !== 'bsky.app';
+  }
 
-  // Extract post data from feed item element
-  function extractPostData(feedItem) {
-    try {
-      // Find the post link to get the unique URI and URL
-      const postLink = feedItem.querySelector('a[href*="/post/"]');
-      if (!postLink) return null;
-      
-      const postUrl = postLink.href;
-      // BlueSky post URLs: bsky.app/profile/{handle}/post/{postId}
-      const postMatch = postUrl.match(/\/profile\/([^\/]+)\/post\/([^\/\?]+)/);
-      if (!postMatch) return null;
-      
-      const authorHandle = postMatch[1];
-      const postId = postMatch[2];
-      const uniqueId = `${authorHandle}-${postId}`;
-      
-      if (processedPosts.has(uniqueId)) {
-        return null;
-      }
+  // Links shared in a post: rich text links plus the external embed card
+  // (title, description, then domain as separate text blocks)
+  function extractLinks(postTextElement, linkEmbed) {
+    const links = new Map(); // URL -> link
+
+    postTextElement?.querySelectorAll('a[href]').forEach(anchor => {
+      if (!isExternalLink(anchor)) return;
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: null,
+        description: null,
+        domain: linkDomain(anchor.href),
+        thumbnail: null
+      });
+    });
 
-// Check for reposts (reposted by someone)
-    let reposter = null;
-    const repostLink = feedItem.querySelector('a[aria-label^="Reposted by"]');
-    if (repostLink) {
-      const ariaLabel = repostLink.getAttribute('aria-label');
-      // Extract name from "Reposted by Username"
-      const match = ariaLabel.match(/^Reposted by\s+(.+)$/);
-      if (match) {
-        reposter = match[1].trim();
-        // Clean up HTML entities if present (e.g., "&gt;" becomes ">")
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = reposter;
-        reposter = tempDiv.textContent;
-      }
+    if (linkEmbed) {
+      const texts = Array.from(linkEmbed.querySelectorAll('div[dir="auto"]'))
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+      const thumbnail = linkEmbed.querySelector('img');
+      links.set(linkEmbed.href, {
+        url: linkEmbed.href,
+        title: texts[0] || null,
+        description: texts.length > 2 ? texts[1] : null,
+        domain: linkDomain(linkEmbed.href),
+        thumbnail: thumbnail ? thumbnail.src : null
+      });
     }
 
-// Extract timestamp with better accuracy
-let timestamp = null;
-let timestampText = '';
-
-// BlueSky stores the full timestamp in the post link's data-tooltip attribute
-if (postLink) {
-  const tooltip = postLink.getAttribute('data-tooltip');
-  if (tooltip) {
-    // Parse the full date string (e.g., "February 7, 2026 at 9:32 PM")
-    const parsedDate = new Date(tooltip);
-    if (!isNaN(parsedDate.getTime())) {
-      timestamp = parsedDate.getTime();
-    }
+    return Array.from(links.values());
   }
-  
-  // Get the relative time text that's displayed (e.g., "1d")
-  timestampText = postLink.textContent.trim().replace(/^·\s*/, ''); // Remove leading dot
-}
-
-// Fallback: try to find a time element
-if (!timestamp) {
-  const timeElement = feedItem.querySelector('time');
-  if (timeElement) {
-    const datetime = timeElement.getAttribute('datetime');
-    if (datetime) {
-      timestamp = new Date(datetime).getTime();
-    } else {
-      timestampText = timeElement.textContent.trim();
-      timestamp = parseRelativeTime(timestampText);
-    }
-  }
-}
-
-// Final fallback: parse the relative time text if we have it
-if (!timestamp && timestampText) {
-  timestamp = parseRelativeTime(timestampText);
-}
-
-// Last resort: use scrape time
-if (!timestamp) {
-  timestamp = Date.now();
-}
-
-
-      // Extract author information
-      let authorName = '';
-      let authorAvatar = '';
-      
-      // Look for author name - usually in a link or span near the top
-      const authorNameElement = feedItem.querySelector('a[aria-label="View profile"]');
-      
-      if (authorNameElement) {
-        authorName = authorNameElement.textContent.trim();
-      }
-
-      // Extract author avatar
-      const avatarImg = feedItem.querySelector('img[alt*="avatar"]') ||
-                        feedItem.querySelector('img[src*="avatar"]') ||
-                        feedItem.querySelector('a[href*="/profile/"] img');
-      if (avatarImg) {
-        authorAvatar = avatarImg.src;
-      }
 
-      // Extract post text content
-      // BlueSky wraps post content in specific divs
-      const postTextElement = feedItem.querySelector('[data-testid="postText"]') ||
-                              feedItem.querySelector('div[style*="white-space"]');
-      
-      let postText = '';
-      if (postTextElement) {
-        postText = postTextElement.textContent.trim();
-      }
-
-      // Extract engagement metrics
-      // BlueSky typically shows these as buttons or spans with counts
-      let replyCount = 0;
-      let repostCount = 0;
-      let likeCount = 0;
-
-      // Find engagement buttons/counters
-      const engagementElements = feedItem.querySelectorAll('button, [role="button"]');
-      engagementElements.forEach(elem => {
-        const ariaLabel = elem.getAttribute('aria-label') || '';
-        const textContent = elem.textContent.trim();
-        
-        // Match patterns like "5 replies", "Reply (5)", etc.
-        if (ariaLabel.toLowerCase().includes('repl') || 
-            elem.querySelector('[data-testid*="reply"]')) {
-          const match = textContent.match(/\d+/);
-          replyCount = match ? parseInt(match[0]) : 0;
-        }
-        else if (ariaLabel.toLowerCase().includes('repost') || 
-                 elem.querySelector('[data-testid*="repost"]')) {
-          const match = textContent.match(/\d+/);
-          repostCount = match ? parseInt(match[0]) : 0;
-        }
-        else if (ariaLabel.toLowerCase().includes('like') || 
-                 elem.querySelector('[data-testid*="like"]')) {
-          const match = textContent.match(/\d+/);
-          likeCount = match ? parseInt(match[0]) : 0;
-        }
+  // Images, videos and GIFs in a post (or quoted post) as typed media entries
+  function extractMedia(root, include = () => true) {
+    const media = [];
+
+    root.querySelectorAll('img[src*="cdn.bsky"]').forEach(img => {
+      // Skip avatars
+      if (img.src.includes('avatar') || img.alt?.toLowerCase().includes('avatar') || !include(img)) return;
+      media.push({
+        type: 'image',
+        url: img.src.replace('/feed_thumbnail/', '/feed_fullsize/'),
+        thumbnail: img.src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        alt: img.alt || null,
+        duration: null
       });
+    });
 
-      // Extract images if present
-      const images = [];
-      const imgElements = feedItem.querySelectorAll('img[src*="cdn.bsky"]');
-      imgElements.forEach(img => {
-        // Skip avatar images
-        if (!img.src.includes('avatar') && !img.alt?.toLowerCase().includes('avatar')) {
-          images.push(img.src);
-        }
+    root.querySelectorAll('video').forEach(video => {
+      if (!include(video)) return;
+      // GIFs are looping Tenor videos
+      const isGif = /tenor\.com/.test(video.src || video.poster || '');
+      const label = video.getAttribute('aria-label');
+      media.push({
+        type: isGif ? 'gif' : 'video',
+        // Videos stream through blob: URLs, which are useless outside the tab
+        url: video.src && !video.src.startsWith('blob:') ? video.src : null,
+        thumbnail: video.poster || null,
+        width: video.videoWidth || null,
+        height: video.videoHeight || null,
+        alt: label && label !== 'Video' ? label : null,
+        duration: isGif ? null : mediaDuration(video, video.parentElement?.parentElement)
       });
+    });
 
-      // Extract embedded content (quoted posts, links, etc.)
-      let hasQuote = false;
-      const quoteElement = feedItem.querySelector('[data-testid="quotedPost"]') ||
-                           feedItem.querySelector('div[style*="border"]');
-      if (quoteElement) {
-        hasQuote = true;
-      }
+    return media;
+  }
 
-      // Mark as processed
-      processedPosts.add(uniqueId);
+  // Moderation labels from the content hiders BlueSky draws over labelled
+  // posts ("contentHider-post") or just their media ("contentHider-embed")
+  function extractSensitivity(feedItem, include) {
+    const hiders = Array.from(feedItem.querySelectorAll('[data-testid^="contentHider"]')).filter(include);
+    if (hiders.length === 0) return null;
+
+    const labels = new Set();
+    hiders.forEach(hider => {
+      // The first text block names the label, the rest are "Show"/"Learn more"
+      const title = Array.from(hider.querySelectorAll('[dir="auto"]'))
+        .map(el => el.textContent.trim())
+        .find(text => text && !/^(show|hide|learn more)$/i.test(text));
+      labels.add(normalizeSensitivityLabel(title || 'sensitive'));
+    });
 
-      return {
-        id: uniqueId,
-        platform: 'bluesky',
-        url: postUrl,
-        author: {
-          name: authorName,
-          handle: authorHandle,
-          avatar: authorAvatar
-        },
-        content: postText,
-        timestamp: timestamp,           // Actual post timestamp
-        timestampText: timestampText,   // Original text like "2h ago"
-        engagement: {
-          replies: replyCount,
-          reposts: repostCount,
-          likes: likeCount
-        },
-        images: images,
-        hasQuote: hasQuote,
-        reposter: reposter,
-        scrapedAt: Date.now()
-      };
-    } catch (error) {
-      console.error('Error extracting BlueSky post data:', error);
-      return null;
-    }
+    return {
+      labels: Array.from(labels),
+      summary: null,
+      mediaOnly: hiders.every(hider => !hider.getAttribute('data-testid').endsWith('post'))
+    };
   }
 
-  // Send post data to background script
-  function sendPostData(postData) {
-    if (!postData) return;
-    
-    chrome.runtime.sendMessage({
-      type: 'NEW_POST',
-      data: postData,
-      tabId: chrome.runtime.id
-    }).catch(err => {
-      console.error('Failed to send post data:', err);
-    });
+  // Extract a quoted post from its embed
+  function extractQuotedPost(quoteElement, quoteLink) {
+    const quoteMatch = quoteLink?.href.match(/\/profile\/([^\/]+)\/post\/([^\/\?]+)/);
+    const nameElement = quoteElement.querySelector('a[href*="/profile/"]:not([href*="/post/"])');
+    const avatarImg = quoteElement.querySelector('img[src*="avatar"]');
+    const textElement = quoteElement.querySelector('[data-testid="postText"]') ||
+                        quoteElement.querySelector('div[style*="white-space"]');
+
+    return {
+      author: {
+        name: nameElement ? nameElement.textContent.trim() : '',
+        handle: quoteMatch ? quoteMatch[1] : '',
+        avatar: avatarImg ? avatarImg.src : ''
+      },
+      content: textElement ? textElement.textContent.trim() : '',
+      url: quoteLink ? quoteLink.href : null,
+      media: extractMedia(quoteElement),
+      timestamp: parseTooltipTime(quoteLink)
+    };
   }
 
-  // Scan for posts in the current viewport
-  function scanForPosts() {
-    // BlueSky uses various container structures, try multiple selectors
-    const postSelectors = [
-      '[data-testid^="feedItem"]',
-      '[data-testid="feedItem"]',
-      '[data-testid="postThreadItem"]',
-      'div[style*="padding"] > div[style*="border-bottom"]',
-      'article',
-      // Fallback: look for containers with post links
-      'div:has(a[href*="/post/"])'
-    ];
-
-    let posts = [];
-    for (const selector of postSelectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          posts = Array.from(elements);
-          break;
-        }
-      } catch (e) {
-        // Some selectors (like :has) may not work in all contexts
-        continue;
+  // BlueSky stores the full timestamp in a post link's data-tooltip
+  // attribute (e.g. "February 7, 2026 at 9:32 PM"), null if missing
+  function parseTooltipTime(link) {
+    const tooltip = link?.getAttribute('data-tooltip');
+    const time = tooltip ? new Date(tooltip).getTime() : NaN;
+    return isNaN(time) ? null : time;
+  }
+
+  // Engagement button counts, e.g. "5" next to the reply icon
+  function extractEngagement(feedItem) {
+    const engagement = { replies: 0, reposts: 0, likes: 0 };
+    feedItem.querySelectorAll('button, [role="button"]').forEach(elem => {
+      const ariaLabel = (elem.getAttribute('aria-label') || '').toLowerCase();
+      const count = countFromText(elem.textContent);
+
+      if (ariaLabel.includes('repl') || elem.querySelector('[data-testid*="reply"]')) {
+        engagement.replies = count;
+      } else if (ariaLabel.includes('repost') || elem.querySelector('[data-testid*="repost"]')) {
+        engagement.reposts = count;
+      } else if (ariaLabel.includes('like') || elem.querySelector('[data-testid*="like"]')) {
+        engagement.likes = count;
       }
-    }
+    });
+    return engagement;
+  }
+
+  registerPlatformAdapter({
+    platform: 'bluesky',
+    name: 'BlueSky',
+    selectors: {
+      // BlueSky uses various container structures, try multiple selectors
+      posts: [
+        '[data-testid^="feedItem"]',
+        '[data-testid="feedItem"]',
+        '[data-testid^="postThreadItem"]',
+        'div[style*="padding"] > div[style*="border-bottom"]',
+        'article',
+        // Fallback: look for containers with post links
+        'div:has(a[href*="/post/"])'
+      ],
+      added: 'article, a[href*="/post/"], [data-testid*="feedItem"], [data-testid*="postThread"]',
+      root: ['main', '[role="main"]']
+    },
+
+    // Wait a bit for BlueSky's React app to render
+    renderDelay: 1500,
 
-    // Fallback: find all divs containing post links
-    if (posts.length === 0) {
-      const allLinks = document.querySelectorAll('a[href*="/post/"]');
+    // Containers around post links: the nearest ancestor (typically 3-5
+    // levels up) with a timestamp and buttons
+    findPosts: () => {
       const containers = new Set();
-      allLinks.forEach(link => {
-        // Find the nearest container (typically 3-5 levels up)
+      document.querySelectorAll('a[href*="/post/"]').forEach(link => {
         let parent = link.parentElement;
         for (let i = 0; i < 5; i++) {
-          if (parent && parent.querySelector('time') && 
+          if (parent && parent.querySelector('time') &&
               parent.querySelector('button, [role="button"]')) {
             containers.add(parent);
             break;
@@ -304,80 +207,103 @@ if (!timestamp) {
           parent = parent?.parentElement;
         }
       });
-      posts = Array.from(containers);
-    }
+      return Array.from(containers);
+    },
 
-    posts.forEach(post => {
-      const postData = extractPostData(post);
-      if (postData) {
-        sendPostData(postData);
-      }
-    });
-  }
+    id: getPostId,
 
-  // Debounced scan function
-  const debouncedScan = debounce(scanForPosts, 500);
+    conversation: getConversationContext,
 
-  // Initial scan when script loads
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', scanForPosts);
-  } else {
-    // Wait a bit for BlueSky's React app to render
-    setTimeout(scanForPosts, 1500);
-  }
+    context: feedItem => {
+      // BlueSky post URLs: bsky.app/profile/{handle}/post/{postId}
+      const postLink = feedItem.querySelector('a[href*="/post/"]');
+      const [, authorHandle, postId] = postLink.href.match(/\/profile\/([^\/]+)\/post\/([^\/\?]+)/);
 
-  // Monitor DOM changes for new posts (infinite scroll, navigation)
-  const observer = new MutationObserver((mutations) => {
-    // Check if any mutations added post-like elements
-    const hasNewPosts = mutations.some(mutation => {
-      return Array.from(mutation.addedNodes).some(node => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          return node.matches('article') || 
-                 node.querySelector('a[href*="/post/"]') ||
-                 node.getAttribute?.('data-testid')?.includes('feedItem') ||
-                 node.getAttribute?.('data-testid')?.includes('postThread');
-        }
-        return false;
-      });
-    });
+      // Quoted post: an embed linking to a different post than this one
+      const quoteLink = Array.from(feedItem.querySelectorAll('a[href*="/post/"]'))
+        .find(link => !link.href.includes(`/profile/${authorHandle}/post/${postId}`));
+      const quoteCard = quoteLink?.closest('[role="link"]');
+      const quoteElement = feedItem.querySelector('[data-testid="quotedPost"]') ||
+                           (quoteCard && feedItem.contains(quoteCard) && !quoteCard.contains(postLink) ? quoteCard : quoteLink);
+      const outsideQuote = el => !quoteElement || !quoteElement.contains(el);
 
-    if (hasNewPosts) {
-      debouncedScan();
-    }
-  });
+      // BlueSky wraps post content in specific divs
+      const postTextElement = Array.from(feedItem.querySelectorAll('[data-testid="postText"]')).find(outsideQuote) ||
+                              Array.from(feedItem.querySelectorAll('div[style*="white-space"]')).find(outsideQuote);
+
+      // External link card: an off-site link outside the post text and quote
+      const linkEmbed = Array.from(feedItem.querySelectorAll('a[href]'))
+        .find(anchor => isExternalLink(anchor) && outsideQuote(anchor) &&
+          !(postTextElement && postTextElement.contains(anchor)));
+
+      // The relative time that's displayed (e.g. "1d"), without the leading dot
+      const timeElement = feedItem.querySelector('time');
+      const timestampText = postLink.textContent.trim().replace(/^·\s*/, '') ||
+                            (timeElement && !timeElement.getAttribute('datetime') ? timeElement.textContent.trim() : '');
+
+      return { postLink, authorHandle, quoteLink, quoteElement, outsideQuote, postTextElement, linkEmbed, timeElement, timestampText };
+    },
+
+    fields: {
+      url: (feedItem, { postLink }) => postLink.href,
+
+      author: (feedItem, { authorHandle }) => {
+        // Usually a link near the top
+        const authorNameElement = feedItem.querySelector('a[aria-label="View profile"]');
+        const avatarImg = feedItem.querySelector('img[alt*="avatar"]') ||
+                          feedItem.querySelector('img[src*="avatar"]') ||
+                          feedItem.querySelector('a[href*="/profile/"] img');
+        return {
+          name: authorNameElement ? authorNameElement.textContent.trim() : '',
+          handle: authorHandle,
+          avatar: avatarImg ? avatarImg.src : ''
+        };
+      },
 
-  // Start observing the main feed container
-  const targetNode = document.querySelector('main') || 
-                     document.querySelector('[role="main"]') || 
-                     document.body;
-  
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true
-  });
+      content: (feedItem, { postTextElement }) => postTextElement ? postTextElement.textContent.trim() : '',
 
-  // Listen for visibility changes (tab switching)
-  document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-      // Tab became visible, rescan for new posts
-      setTimeout(scanForPosts, 1000);
-    }
-  });
+      // The link's tooltip, then a <time> element, then the relative text;
+      // the scrape time as a last resort
+      timestamp: (feedItem, { postLink, timeElement, timestampText }) =>
+        parseTooltipTime(postLink) || parseTimeElement(timeElement) ||
+        (timestampText ? parseRelativeTime(timestampText) : Date.now()),
 
-  // Handle navigation within BlueSky's SPA
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const currentUrl = location.href;
-    if (currentUrl !== lastUrl) {
-      lastUrl = currentUrl;
-      // URL changed, clear processed posts and rescan
-      processedPosts.clear();
-      setTimeout(scanForPosts, 1500);
-    }
-  }).observe(document, { subtree: true, childList: true });
+      timestampText: (feedItem, { timestampText }) => timestampText,
+
+      engagement: extractEngagement,
+
+      // Media, leaving out the quoted post's and the link card thumbnail
+      media: (feedItem, { outsideQuote, linkEmbed }) =>
+        extractMedia(feedItem, el => outsideQuote(el) && !(linkEmbed && linkEmbed.contains(el))),
+
+      links: (feedItem, { postTextElement, linkEmbed }) => extractLinks(postTextElement, linkEmbed),
 
-  // Periodic rescan every 30 seconds to catch any missed posts
-  setInterval(scanForPosts, 30000);
+      sensitivity: (feedItem, { outsideQuote }) => extractSensitivity(feedItem, outsideQuote),
 
-  console.log('BlueSky scraper content script initialized');
+      // "Reposted by Username"
+      reposter: feedItem => {
+        const ariaLabel = feedItem.querySelector('a[aria-label^="Reposted by"]')?.getAttribute('aria-label');
+        const match = ariaLabel?.match(/^Reposted by\s+(.+)$/);
+        if (!match) return null;
+        // Clean up HTML entities if present (e.g., "&gt;" becomes ">")
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = match[1].trim();
+        return tempDiv.textContent;
+      },
+
+      // Reply context ("Reply to Name" above the post text)
+      inReplyTo: (feedItem, { conversation }) => {
+        const replyContext = Array.from(feedItem.querySelectorAll('[dir="auto"]'))
+          .find(el => /^Reply(ing)? to /.test(el.textContent.trim()));
+        const replyToName = replyContext ? replyContext.textContent.trim().replace(/^Reply(ing)? to\s+/, '') : null;
+        return conversation || replyToName
+          ? { id: conversation?.parentId || null, handle: null, name: replyToName }
+          : null;
+      },
+
+      threadRootId: (feedItem, { conversation }) => conversation?.rootId || null,
+
+      quoted: (feedItem, { quoteElement, quoteLink }) => quoteElement ? extractQuotedPost(quoteElement, quoteLink) : null
+    }
+  });
 })();
@@ -0,0 +1,153 @@
+// collections.js
+// Bookmarks and user-named collections, loaded into the background service
+// worker. Collected posts are copied into their own object store, so
+// retention, closed-tab expiry and clearing the feed never remove them.
+'use strict';
+
+const COLLECTIONS_STORAGE_KEY = 'collections';
+const BOOKMARKS_STORE = 'bookmarks';
+
+// Built-in collection behind each card's bookmark button
+const DEFAULT_COLLECTION = 'bookmarks';
+
+// id -> { id, name, createdAt }
+let collections = {
+  [DEFAULT_COLLECTION]: { id: DEFAULT_COLLECTION, name: 'Bookmarks', createdAt: 0 }
+};
+
+// post key -> collection ids, mirrors the bookmarks store
+let collectedKeys = new Map();
+
+// Load collection names from storage and membership from the bookmarks store
+async function loadCollections() {
+  const result = await chrome.storage.local.get([COLLECTIONS_STORAGE_KEY]);
+  collections = { ...collections, ...result[COLLECTIONS_STORAGE_KEY] };
+
+  const db = await openArchive();
+  const records = await requestToPromise(
+    db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE).getAll()
+  );
+  collectedKeys = new Map(records.map(record => [record.key, record.collections]));
+}
+
+async function saveCollections() {
+  await chrome.storage.local.set({ [COLLECTIONS_STORAGE_KEY]: collections });
+}
+
+async function createCollection(name) {
+  name = (name || '').trim();
+  if (!name) {
+    throw new Error('Collection needs a name');
+  }
+
+  const id = `collection:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  collections[id] = { id, name, createdAt: Date.now() };
+  await saveCollections();
+  return collections[id];
+}
+
+// Delete a collection; posts that were only in it are dropped from the store
+async function deleteCollection(id) {
+  if (id === DEFAULT_COLLECTION || !collections[id]) return;
+
+  delete collections[id];
+  await saveCollections();
+
+  const db = await openArchive();
+  const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+  const request = tx.objectStore(BOOKMARKS_STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const record = cursor.value;
+    if (record.collections.includes(id)) {
+      record.collections = record.collections.filter(member => member !== id);
+      if (record.collections.length > 0) {
+        cursor.update(record);
+        collectedKeys.set(record.key, record.collections);
+      } else {
+        cursor.delete();
+        collectedKeys.delete(record.key);
+      }
+    }
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
+
+// Copy of a post without the fields attached for rendering
+function collectedSnapshot(post) {
+  const { crosspostPosts, threadPosts, collections: memberOf, ...snapshot } = post;
+  return snapshot;
+}
+
+// Add a post to (or remove it from) a collection
+async function setPostCollection(post, id, member) {
+  if (!collections[id]) {
+    throw new Error('Unknown collection');
+  }
+
+  const db = await openArchive();
+  const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+  const store = tx.objectStore(BOOKMARKS_STORE);
+  const record = await requestToPromise(store.get(post.key)) ||
+    { key: post.key, collections: [], addedAt: Date.now() };
+
+  record.collections = record.collections.filter(existing => existing !== id);
+  if (member) {
+    record.collections.push(id);
+    record.addedAt = Date.now();
+  }
+  record.post = collectedSnapshot(post);
+
+  if (record.collections.length > 0) {
+    store.put(record);
+    collectedKeys.set(post.key, record.collections);
+  } else {
+    store.delete(post.key);
+    collectedKeys.delete(post.key);
+  }
+  await transactionDone(tx);
+}
+
+// Keep the copy of a collected post current when it is scraped again
+async function refreshCollectedPost(post) {
+  if (!collectedKeys.has(post.key)) return;
+
+  const db = await openArchive();
+  const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+  const store = tx.objectStore(BOOKMARKS_STORE);
+  const record = await requestToPromise(store.get(post.key));
+  if (record) {
+    record.post = collectedSnapshot(post);
+    store.put(record);
+  }
+  await transactionDone(tx);
+}
+
+// Collections a post belongs to
+function collectionsForPost(key) {
+  return collectedKeys.get(key) || [];
+}
+
+// Collected posts in one collection, most recently added first
+async function getCollectionPosts(id) {
+  const db = await openArchive();
+  const records = await requestToPromise(
+    db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE).getAll()
+  );
+  return records
+    .filter(record => record.collections.includes(id))
+    .sort((a, b) => b.addedAt - a.addedAt)
+    .map(record => record.post);
+}
+
+// Collections with their post counts, built-in first then by creation
+function getCollectionSummaries() {
+  const counts = new Map();
+  collectedKeys.forEach(ids => ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+
+  return Object.values(collections)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(collection => ({ ...collection, count: counts.get(collection.id) || 0 }));
+}
@@ -0,0 +1,147 @@
+// crossposts.js
+// Detects the same text cross-posted by one (linked) author to several
+// platforms, loaded into the background service worker
+'use strict';
+
+// Copies must be posted within this window of each other
+const CROSSPOST_WINDOW = 3 * 60 * 60 * 1000;
+// Minimum bigram similarity for two texts to count as the same post
+const CROSSPOST_SIMILARITY = 0.85;
+// Texts shorter than this (after normalizing) are too generic to compare
+const CROSSPOST_MIN_LENGTH = 12;
+
+// Normalize text for comparison: links (every platform shortens them
+// differently), trailing hashtags, case and punctuation are ignored
+function normalizeCrosspostText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\b[\w-]+(\.[\w-]+)+\/\S*/g, ' ') // scheme-less or truncated links
+    .replace(/\s+/g, ' ')
+    .replace(/(\s*#[\p{L}\p{N}_]+)+\s*$/u, '')
+    .replace(/[^\p{L}\p{N}#@]+/gu, ' ')
+    .trim();
+}
+
+// Character bigram counts
+function textBigrams(text) {
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+// Dice coefficient over character bigrams, 0..1
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigramsA = textBigrams(a);
+  const bigramsB = textBigrams(b);
+  let overlap = 0;
+  bigramsA.forEach((count, bigram) => {
+    overlap += Math.min(count, bigramsB.get(bigram) || 0);
+  });
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+// Is `b` a copy of `a` posted to another platform?
+function isCrosspost(a, b) {
+  if (a.platform === b.platform) return false;
+  if (Math.abs(a.timestamp - b.timestamp) > CROSSPOST_WINDOW) return false;
+
+  const textA = normalizeCrosspostText(a.content);
+  const textB = normalizeCrosspostText(b.content);
+  if (textA.length < CROSSPOST_MIN_LENGTH || textB.length < CROSSPOST_MIN_LENGTH) return false;
+
+  // Shorter platforms truncate long posts
+  const [shorter, longer] = textA.length <= textB.length ? [textA, textB] : [textB, textA];
+  if (longer.startsWith(shorter)) return true;
+
+  return textSimilarity(textA, textB) >= CROSSPOST_SIMILARITY;
+}
+
+// Add `post` to the group led by `primary` (both objects are updated)
+function joinCrosspostGroup(primary, post) {
+  primary.crossposts = [...(primary.crossposts || []), post.key];
+  primary.crosspostPlatforms = Array.from(new Set([...(primary.crosspostPlatforms || []), post.platform]));
+  post.crosspostOf = primary.key;
+}
+
+// Archived posts by the same (linked) author as `post`
+async function postsByIdentity(post) {
+  const members = identityMembersForPost(post);
+  const groups = await Promise.all(members.map(member => archiveGetByIndex('authorKey', member)));
+  return groups.flat();
+}
+
+// Find the group a new post belongs to, returns the updated primary or null
+async function findCrosspostPrimary(post) {
+  if (post.crosspostOf) return null;
+
+  const candidates = (await postsByIdentity(post)).filter(candidate =>
+    !candidate.crosspostOf &&
+    candidate.key !== post.key &&
+    // One copy per platform
+    !(candidate.crosspostPlatforms || []).includes(post.platform) &&
+    isCrosspost(candidate, post)
+  );
+  if (candidates.length === 0) return null;
+
+  // Earliest scraped copy leads the group
+  candidates.sort((a, b) => a.scrapedAt - b.scrapedAt);
+  const primary = candidates[0];
+  joinCrosspostGroup(primary, post);
+  return primary;
+}
+
+// Regroup a set of posts from scratch (after identities are linked or
+// unlinked), returns the posts whose grouping changed
+function regroupCrossposts(posts) {
+  const before = new Map(posts.map(post => [post.key, JSON.stringify([post.crosspostOf, post.crossposts])]));
+
+  posts.forEach(post => {
+    delete post.crosspostOf;
+    delete post.crossposts;
+    delete post.crosspostPlatforms;
+  });
+
+  const primaries = [];
+  posts.slice().sort((a, b) => a.scrapedAt - b.scrapedAt).forEach(post => {
+    const primary = primaries.find(candidate =>
+      identityForPost(candidate) === identityForPost(post) &&
+      candidate.platform !== post.platform &&
+      !(candidate.crosspostPlatforms || []).includes(post.platform) &&
+      isCrosspost(candidate, post)
+    );
+    if (primary) {
+      joinCrosspostGroup(primary, post);
+    } else {
+      primaries.push(post);
+    }
+  });
+
+  return posts.filter(post => before.get(post.key) !== JSON.stringify([post.crosspostOf, post.crossposts]));
+}
+
+// Drop references to group members that no longer exist (e.g. removed by
+// retention), returns the posts that changed
+function repairCrosspostGroups(posts) {
+  const platforms = new Map(posts.map(post => [post.key, post.platform]));
+  const changed = [];
+
+  posts.forEach(post => {
+    if (post.crosspostOf && !platforms.has(post.crosspostOf)) {
+      delete post.crosspostOf;
+      changed.push(post);
+    } else if (post.crossposts && !post.crossposts.every(key => platforms.has(key))) {
+      post.crossposts = post.crossposts.filter(key => platforms.has(key));
+      post.crosspostPlatforms = Array.from(new Set(post.crossposts.map(key => platforms.get(key))));
+      changed.push(post);
+    }
+  });
+
+  return changed;
+}
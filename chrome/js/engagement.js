@@ -0,0 +1,124 @@
+// engagement.js
+// Engagement counts, their history over time and how fast they grow,
+// loaded into the background service worker
+'use strict';
+
+const ENGAGEMENT_METRICS = ['replies', 'reposts', 'likes'];
+
+// Readings kept per post, oldest are dropped first
+const ENGAGEMENT_HISTORY_LIMIT = 100;
+
+// Growth is measured over (at least) this much of the latest history
+const TRENDING_WINDOW = 2 * 60 * 60 * 1000;
+
+// Shortest span growth is divided by, so a post seen twice a minute apart
+// doesn't get an absurd rate
+const TRENDING_MIN_SPAN = 15 * 60 * 1000;
+
+// Engagement count for a metric, whatever the platform calls it
+function engagementCount(post, metric) {
+  const engagement = post.engagement || {};
+  switch (metric) {
+    case 'likes': return engagement.likes || engagement.favorites || 0;
+    case 'reposts': return engagement.retweets || engagement.reposts || engagement.boosts || 0;
+    case 'replies': return engagement.replies || 0;
+  }
+  return 0;
+}
+
+// Reading of a post's current engagement: { at, replies, reposts, likes }
+function engagementSnapshot(post) {
+  const snapshot = { at: post.scrapedAt };
+  ENGAGEMENT_METRICS.forEach(metric => {
+    snapshot[metric] = engagementCount(post, metric);
+  });
+  return snapshot;
+}
+
+function sameEngagement(a, b) {
+  return ENGAGEMENT_METRICS.every(metric => a[metric] === b[metric]);
+}
+
+// Combine stored readings, readings the post brings along (an import) and
+// its current engagement into one history, oldest first. Unchanged
+// readings in a row are kept once.
+function mergeEngagementHistory(history = [], post) {
+  const readings = new Map();
+  history.concat(post.engagementHistory || [], post.engagement ? [engagementSnapshot(post)] : [])
+    .forEach(snapshot => readings.set(snapshot.at, snapshot));
+
+  return Array.from(readings.values())
+    .sort((a, b) => a.at - b.at)
+    .filter((snapshot, index, sorted) => index === 0 || !sameEngagement(snapshot, sorted[index - 1]))
+    .slice(-ENGAGEMENT_HISTORY_LIMIT);
+}
+
+// Combined engagement per hour over the latest part of the history. A post
+// counts as having started from zero when it was published, so a post first
+// seen long after publishing doesn't look like it is taking off.
+function engagementVelocity(post, now = Date.now()) {
+  const history = post.engagementHistory || [];
+  if (history.length === 0) return 0;
+
+  const readings = post.timestamp && post.timestamp < history[0].at
+    ? [{ at: post.timestamp, replies: 0, reposts: 0, likes: 0 }].concat(history)
+    : history;
+  const latest = readings[readings.length - 1];
+  const base = readings.slice().reverse().find(snapshot => snapshot.at <= latest.at - TRENDING_WINDOW) || readings[0];
+
+  const growth = ENGAGEMENT_METRICS.reduce((sum, metric) => sum + (latest[metric] - base[metric]), 0);
+  // Measured up to now, so a post that stopped growing cools down
+  const span = Math.max(now - base.at, TRENDING_MIN_SPAN);
+  return growth / (span / (60 * 60 * 1000));
+}
+
+// Posts an author needs before their own baseline outweighs the platform's
+const AUTHOR_BASELINE_PRIOR = 5;
+
+// Weighted engagement: { replies, reposts, likes } weights from the settings
+function weightedEngagement(post, weights) {
+  return ENGAGEMENT_METRICS.reduce((sum, metric) => sum + engagementCount(post, metric) * weights[metric], 0);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Score every post relative to what is usual for its platform and author,
+// so a well-received toot can outrank an ordinary post on a bigger network.
+// The platform baseline is the median weighted engagement there; an
+// author's baseline is their mean, pulled towards the platform baseline
+// until they have a few posts. Older posts decay with the half-life
+// (hours, 0 turns decay off). Returns post key -> score.
+function rankByEngagement(posts, ranking, now = Date.now()) {
+  const raw = new Map(posts.map(post => [post.key, weightedEngagement(post, ranking)]));
+
+  const byPlatform = new Map();
+  const byAuthor = new Map();
+  posts.forEach(post => {
+    if (!byPlatform.has(post.platform)) byPlatform.set(post.platform, []);
+    byPlatform.get(post.platform).push(raw.get(post.key));
+    if (!byAuthor.has(post.authorKey)) byAuthor.set(post.authorKey, []);
+    byAuthor.get(post.authorKey).push(raw.get(post.key));
+  });
+
+  const platformBaseline = new Map(Array.from(byPlatform, ([platform, values]) => [platform, median(values)]));
+
+  const scores = new Map();
+  posts.forEach(post => {
+    const authorValues = byAuthor.get(post.authorKey);
+    const prior = platformBaseline.get(post.platform);
+    const baseline = (authorValues.reduce((sum, value) => sum + value, 0) + AUTHOR_BASELINE_PRIOR * prior) /
+                     (authorValues.length + AUTHOR_BASELINE_PRIOR);
+
+    const age = Math.max(now - (post.timestamp || post.scrapedAt), 0) / (60 * 60 * 1000);
+    const decay = ranking.halfLifeHours > 0 ? Math.pow(0.5, age / ranking.halfLifeHours) : 1;
+
+    // +1 keeps posts on quiet platforms and brand-new posts comparable
+    scores.set(post.key, (raw.get(post.key) + 1) / (baseline + 1) * decay);
+  });
+  return scores;
+}
@@ -0,0 +1,207 @@
+// export.js
+// Writes lists of posts as JSON, CSV, Markdown or a self-contained HTML
+// page, loaded into the background service worker
+'use strict';
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+// One row per post, engagement and media flattened into columns
+const CSV_COLUMNS = [
+  ['key', post => post.key],
+  ['platform', post => post.platform],
+  ['software', post => post.software],
+  ['community', post => post.community],
+  ['url', post => post.url],
+  ['timestamp', post => exportDate(post.timestamp)],
+  ['author_name', post => post.author?.name],
+  ['author_handle', post => post.author?.handle],
+  ['content', post => post.content],
+  ['reposted_by', post => post.reposter],
+  ['in_reply_to', post => post.inReplyTo?.url || post.inReplyTo?.id],
+  ['replies', post => engagementCount(post, 'replies')],
+  ['reposts', post => engagementCount(post, 'reposts')],
+  ['likes', post => engagementCount(post, 'likes')],
+  ['media_count', post => post.media?.length || 0],
+  ['media_types', post => (post.media || []).map(item => item.type).join(' ')],
+  ['media_urls', post => (post.media || []).map(item => item.url).join(' ')],
+  ['media_alt', post => (post.media || []).map(item => item.alt || '').join(' | ')],
+  ['links', post => (post.links || []).map(link => link.url).join(' ')],
+  ['quoted_url', post => post.quoted?.url],
+  ['sensitivity', post => post.sensitivity?.labels.join(' ')]
+];
+
+const EXPORT_PLATFORM_NAMES = { twitter: 'X', bluesky: 'BlueSky', mastodon: 'Fediverse', threads: 'Threads', reddit: 'Reddit' };
+
+// Format `posts` as a file: { filename, mimeType, content }
+function exportPosts(posts, format) {
+  const type = EXPORT_FORMATS[format];
+  if (!type) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const writers = { json: exportJson, csv: exportCsv, markdown: exportMarkdown, html: exportHtml };
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    filename: `social-feed-${date}.${type.extension}`,
+    mimeType: type.mimeType,
+    content: writers[format](posts)
+  };
+}
+
+function exportDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+// Platform name, with the server software and community for posts that
+// have them ("Fediverse (misskey)", "Reddit r/rust")
+function exportPlatform(post) {
+  const name = EXPORT_PLATFORM_NAMES[post.platform] || post.platform;
+  const software = post.software ? `${name} (${post.software})` : name;
+  return post.community ? `${software} ${post.community}` : software;
+}
+
+function exportAuthor(author) {
+  return author?.handle ? `${author.name || author.handle} (${author.handle})` : author?.name || 'Unknown';
+}
+
+// The stored post schema, without the archive's bookkeeping for the feed
+function exportJson(posts) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    count: posts.length,
+    posts: posts.map(({ crosspostPosts, threadPosts, collections, ...post }) => post)
+  }, null, 2);
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv(posts) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)]
+    .concat(posts.map(post => CSV_COLUMNS.map(([, value]) => value(post))));
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Prefix every line so multi-line text stays inside the quote block
+function markdownQuote(text, depth = 1) {
+  const prefix = '> '.repeat(depth);
+  return (text || '').split('\n').map(line => `${prefix}${line}`.trimEnd()).join('\n');
+}
+
+function exportMarkdown(posts) {
+  const sections = posts.map(post => {
+    const lines = [
+      `### ${exportAuthor(post.author)} · ${exportPlatform(post)}`,
+      ''
+    ];
+    if (post.reposter) {
+      lines.push(`*Reposted by ${post.reposter}*`, '');
+    }
+    lines.push(markdownQuote(post.content));
+
+    if (post.quoted) {
+      lines.push('>', markdownQuote(`**${exportAuthor(post.quoted.author)}**`, 2), markdownQuote(post.quoted.content, 2));
+      if (post.quoted.url) {
+        lines.push(markdownQuote(`[Quoted post](${post.quoted.url})`, 2));
+      }
+    }
+
+    (post.media || []).forEach(item => {
+      lines.push('', `- ${item.type}: [${item.alt || item.url}](${item.url})`);
+    });
+    (post.links || []).forEach(link => {
+      lines.push('', `- [${link.title || link.url}](${link.url})`);
+    });
+
+    lines.push('', `[${exportDate(post.timestamp) || 'View post'}](${post.url})`);
+    return lines.join('\n');
+  });
+
+  return `# Social feed export\n\n${posts.length} posts, exported ${exportDate(Date.now())}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+function escapeMarkup(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A single page with inline styles, media linked rather than embedded
+function exportHtml(posts) {
+  const cards = posts.map(post => {
+    const media = (post.media || []).map(item => item.type === 'image' || item.type === 'gif'
+      ? `<a href="${escapeMarkup(item.url)}"><img src="${escapeMarkup(item.thumbnail || item.url)}" alt="${escapeMarkup(item.alt || '')}"></a>`
+      : `<a href="${escapeMarkup(item.url)}">${escapeMarkup(item.type)}</a>`
+    ).join('');
+    const links = (post.links || []).map(link =>
+      `<li><a href="${escapeMarkup(link.url)}">${escapeMarkup(link.title || link.url)}</a></li>`
+    ).join('');
+    const quoted = post.quoted ? `
+      <blockquote>
+        <strong>${escapeMarkup(exportAuthor(post.quoted.author))}</strong>
+        <p>${escapeMarkup(post.quoted.content)}</p>
+        ${post.quoted.url ? `<a href="${escapeMarkup(post.quoted.url)}">Quoted post</a>` : ''}
+      </blockquote>` : '';
+    const engagement = ['replies', 'reposts', 'likes']
+      .map(metric => `${engagementCount(post, metric)} ${metric}`).join(' · ');
+
+    return `
+    <article class="${escapeMarkup(post.platform)}">
+      <header>
+        <strong>${escapeMarkup(exportAuthor(post.author))}</strong>
+        <span>${escapeMarkup(exportPlatform(post))}</span>
+      </header>
+      ${post.reposter ? `<p class="meta">Reposted by ${escapeMarkup(post.reposter)}</p>` : ''}
+      <p>${escapeMarkup(post.content)}</p>
+      ${quoted}
+      ${media ? `<div class="media">${media}</div>` : ''}
+      ${links ? `<ul>${links}</ul>` : ''}
+      <footer>
+        <a href="${escapeMarkup(post.url)}">${escapeMarkup(exportDate(post.timestamp) || 'View post')}</a>
+        <span>${engagement}</span>
+      </footer>
+    </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Social feed export</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #1a1a1a; margin: 0; padding: 24px; }
+  main { max-width: 700px; margin: 0 auto; }
+  article { background: #fff; border: 1px solid #e0e0e0; border-radius: 12px; padding: 16px; margin-bottom: 12px; }
+  article.twitter { border-left: 4px solid #1da1f2; }
+  article.bluesky { border-left: 4px solid #0085ff; }
+  article.mastodon { border-left: 4px solid #6364ff; }
+  article.threads { border-left: 4px solid #000; }
+  article.reddit { border-left: 4px solid #ff4500; }
+  header { display: flex; justify-content: space-between; margin-bottom: 8px; }
+  header span, .meta, footer { color: #666; font-size: 13px; }
+  p { white-space: pre-wrap; word-wrap: break-word; }
+  blockquote { border: 1px solid #e0e0e0; border-radius: 8px; margin: 8px 0; padding: 8px 12px; }
+  .media { display: flex; flex-wrap: wrap; gap: 4px; margin: 8px 0; }
+  .media img { max-width: 200px; max-height: 200px; border-radius: 8px; }
+  footer { display: flex; justify-content: space-between; margin-top: 8px; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Social feed export</h1>
+  <p class="meta">${posts.length} posts, exported ${escapeMarkup(exportDate(Date.now()))}</p>
+  ${cards}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,84 @@
+// fediverse.js
+// Picks the adapter for the fediverse server a tab is on. The instances
+// the manifest matches (mastodon.social, *.social, ...) may run Mastodon,
+// Misskey, Pleroma/Akkoma or GoToSocial; posts from all of them are
+// collected as the 'mastodon' platform (the feed's "Fediverse") with the
+// server software recorded on each post. The background service worker
+// loads it too, to check instances the user adds.
+'use strict';
+
+// NodeInfo software name -> adapter; forks share their parent's markup
+const FEDIVERSE_ADAPTERS = {
+  mastodon: 'mastodon',
+  hometown: 'mastodon',
+  glitchsoc: 'mastodon',
+  misskey: 'misskey',
+  sharkey: 'misskey',
+  firefish: 'misskey',
+  iceshrimp: 'misskey',
+  cherrypick: 'misskey',
+  foundkey: 'misskey',
+  calckey: 'misskey',
+  pleroma: 'akkoma',
+  akkoma: 'akkoma',
+  gotosocial: 'gotosocial'
+};
+
+// Fallback when NodeInfo can't be read: an element each web app renders
+const FEDIVERSE_MARKUP = [
+  ['mastodon', '#mastodon, body.app-body'],
+  ['misskey', '#misskey_app'],
+  ['akkoma', '#app .app-bg-wrapper, #app .Status'],
+  ['gotosocial', 'meta[name="generator"][content^="GoToSocial"]']
+];
+
+let fediverseSoftware = null;
+
+// { name, version } from the NodeInfo document of the server at `origin`
+// (this page's server by default), or null
+async function readNodeInfo(origin = '') {
+  const index = await (await fetch(`${origin}/.well-known/nodeinfo`)).json();
+  const link = (index.links || [])
+    .filter(link => /nodeinfo\.diaspora\.software\/ns\/schema\/2\./.test(link.rel))
+    .pop();
+  if (!link) return null;
+
+  const nodeinfo = await (await fetch(link.href)).json();
+  const name = nodeinfo.software?.name?.toLowerCase();
+  return name ? { name: name, version: nodeinfo.software.version || null } : null;
+}
+
+function markupSoftware() {
+  const match = FEDIVERSE_MARKUP.find(([, selector]) => document.querySelector(selector));
+  return match ? { name: match[0], version: null } : null;
+}
+
+// The server software, detected once per page: NodeInfo first, then markup.
+// null when neither says.
+function detectFediverseSoftware() {
+  if (!fediverseSoftware) {
+    fediverseSoftware = readNodeInfo()
+      .catch(() => null)
+      .then(software => software || markupSoftware());
+  }
+  return fediverseSoftware;
+}
+
+// Register `adapter` (without a platform) if the server runs software it
+// handles. Servers nothing identifies get the Mastodon adapter, as before
+// detection existed.
+function registerFediverseAdapter(family, adapter) {
+  detectFediverseSoftware().then(software => {
+    const detected = software ? FEDIVERSE_ADAPTERS[software.name] : 'mastodon';
+    if (detected !== family) return;
+
+    registerPlatformAdapter({
+      ...adapter,
+      platform: 'mastodon',
+      fields: {
+        ...adapter.fields,
+        software: () => software?.name || null
+      }
+    });
+  });
+}
@@ -0,0 +1,138 @@
+// gotosocial-scraper.js
+// GoToSocial's own web pages (profiles and threads); it has no timeline
+// of its own, people read it through other clients
+(function() {
+  'use strict';
+
+  // Status permalinks: /@{username}/statuses/{id}
+  const STATUS_PATH = /\/@([^\/]+)\/statuses\/([0-9A-Z]+)/;
+
+  function getPermalink(status) {
+    return status.querySelector('a.status-link') ||
+           status.querySelector('a[href*="/statuses/"]');
+  }
+
+  function getStatusId(status) {
+    return getPermalink(status)?.href.match(STATUS_PATH)?.[2] || status.id || null;
+  }
+
+  // Attachments, full-size links around their previews
+  function extractMedia(status) {
+    const media = [];
+
+    status.querySelectorAll('.media-wrapper, .media .media-item').forEach(item => {
+      const video = item.querySelector('video');
+      const audio = item.querySelector('audio');
+      const img = item.querySelector('img');
+      const link = item.querySelector('a[href]');
+      if (video || audio) {
+        const player = video || audio;
+        media.push({
+          type: audio ? 'audio' : item.matches('.gifv, [data-type="gifv"]') ? 'gif' : 'video',
+          url: player.src || player.querySelector('source')?.src || link?.href || null,
+          thumbnail: video?.poster || img?.src || null,
+          width: video?.videoWidth || null,
+          height: video?.videoHeight || null,
+          alt: player.title || player.getAttribute('aria-label') || null,
+          duration: mediaDuration(player, item)
+        });
+      } else if (img) {
+        media.push({
+          type: 'image',
+          url: link?.href || img.src,
+          thumbnail: img.src,
+          width: img.naturalWidth || null,
+          height: img.naturalHeight || null,
+          alt: img.alt || img.title || null,
+          duration: null
+        });
+      }
+    });
+
+    return media;
+  }
+
+  // Links in the text, leaving out mentions and hashtags
+  function extractLinks(contentElement) {
+    const links = new Map(); // URL -> link
+    contentElement?.querySelectorAll('a[href]:not(.mention):not(.hashtag):not([rel~="tag"])').forEach(anchor => {
+      if (!/^https?:/.test(anchor.href)) return;
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: null,
+        description: null,
+        domain: linkDomain(anchor.href),
+        thumbnail: null
+      });
+    });
+    return Array.from(links.values());
+  }
+
+  // Count from the stats list, found by the icon in its label
+  function statCount(status, icon) {
+    const item = status.querySelector(`.status-stats i.${icon}, .stats i.${icon}`)?.closest('.stats-item, div');
+    return item ? countFromText(item.querySelector('dd')?.textContent || item.textContent) : 0;
+  }
+
+  registerFediverseAdapter('gotosocial', {
+    name: 'GoToSocial',
+    selectors: {
+      posts: ['article.status', 'div.status[id]'],
+      added: '.status',
+      root: ['main', '.thread']
+    },
+
+    id: getStatusId,
+
+    context: status => ({
+      permalinkLink: getPermalink(status),
+      timeElement: status.querySelector('time'),
+      contentElement: status.querySelector('.status-body .content, .text .content')
+    }),
+
+    fields: {
+      instance: () => location.host,
+
+      url: (status, { permalinkLink }) => permalinkLink ? permalinkLink.href : null,
+
+      author: status => {
+        const nameElement = status.querySelector('.displayname');
+        const usernameElement = status.querySelector('.username');
+        const avatarImg = status.querySelector('.avatar img');
+        return {
+          name: nameElement ? nameElement.textContent.trim() : '',
+          handle: usernameElement ? usernameElement.textContent.trim().replace(/^@/, '') : '',
+          avatar: avatarImg ? avatarImg.src : ''
+        };
+      },
+
+      content: (status, { contentElement }) => contentElement ? contentElement.textContent.trim() : '',
+
+      timestamp: (status, { timeElement }) => parseTimeElement(timeElement) || Date.now(),
+
+      timestampText: (status, { timeElement }) => timeElement ? timeElement.textContent.trim() : '',
+
+      engagement: status => ({
+        replies: statCount(status, 'fa-reply-all') || statCount(status, 'fa-reply'),
+        boosts: statCount(status, 'fa-retweet'),
+        favorites: statCount(status, 'fa-star')
+      }),
+
+      media: extractMedia,
+
+      links: (status, { contentElement }) => extractLinks(contentElement),
+
+      // Content warnings are a <details> the reader opens
+      sensitivity: status => {
+        const spoiler = status.querySelector('details.text-spoiler > summary, .spoiler summary');
+        const sensitiveMedia = !!status.querySelector('.media .sensitive, .media-wrapper details[data-sensitive="true"]');
+        if (!spoiler && !sensitiveMedia) return null;
+        return {
+          labels: [spoiler ? 'content-warning' : 'sensitive'],
+          summary: spoiler ? spoiler.querySelector('.spoiler-content')?.textContent.trim() || spoiler.textContent.trim() : null,
+          mediaOnly: !spoiler
+        };
+      }
+    }
+  });
+})();
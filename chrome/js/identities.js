@@ -0,0 +1,213 @@
+// identities.js
+// Links author handles across platforms into one person, loaded into the
+// background service worker
+'use strict';
+
+const IDENTITY_STORAGE_KEY = 'identityMap';
+
+// Avatars whose fingerprints differ by at most this many bits are "the same"
+const AVATAR_MATCH_THRESHOLD = 10;
+
+// Persisted map: linked identities plus suggestions the user turned down
+let identityMap = {
+  identities: {}, // id -> { id, name, members: [authorKey, ...] }
+  rejected: []    // suggestion keys the user dismissed
+};
+
+// authorKey -> identity id, derived from identityMap
+let identityByAuthor = new Map();
+
+// avatar URL -> fingerprint (or null if it could not be computed)
+const avatarFingerprints = new Map();
+
+// Identity a post's author belongs to (their own author key when unlinked)
+function identityForPost(post) {
+  const key = postAuthorKey(post);
+  return identityByAuthor.get(key) || key;
+}
+
+// Author keys that belong to the post author's identity
+function identityMembersForPost(post) {
+  const key = postAuthorKey(post);
+  const id = identityByAuthor.get(key);
+  return id ? identityMap.identities[id].members : [key];
+}
+
+// Every handle (without platform) that belongs to the post author's identity
+function identityHandlesForPost(post) {
+  return identityMembersForPost(post).map(member => member.slice(member.indexOf(':') + 1));
+}
+
+// Rebuild the author -> identity lookup
+function rebuildIdentityLookup() {
+  identityByAuthor = new Map();
+  Object.values(identityMap.identities).forEach(identity => {
+    identity.members.forEach(member => identityByAuthor.set(member, identity.id));
+  });
+}
+
+// Load the identity map from storage
+async function loadIdentityMap() {
+  const result = await chrome.storage.local.get([IDENTITY_STORAGE_KEY]);
+  if (result[IDENTITY_STORAGE_KEY]) {
+    identityMap = result[IDENTITY_STORAGE_KEY];
+  }
+  rebuildIdentityLookup();
+}
+
+// Persist the identity map
+async function saveIdentityMap() {
+  rebuildIdentityLookup();
+  await chrome.storage.local.set({ [IDENTITY_STORAGE_KEY]: identityMap });
+}
+
+// Order-independent key for a set of author keys
+function suggestionKey(authorKeys) {
+  return [...authorKeys].sort().join('|');
+}
+
+// Link author keys into one identity, merging any identities they already belong to
+async function linkAuthors(authorKeys, name) {
+  const members = new Set();
+  authorKeys.forEach(key => {
+    const existingId = identityByAuthor.get(key);
+    if (existingId) {
+      identityMap.identities[existingId].members.forEach(member => members.add(member));
+      delete identityMap.identities[existingId];
+    } else {
+      members.add(key);
+    }
+  });
+
+  const id = `identity:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  identityMap.identities[id] = { id, name, members: Array.from(members) };
+  await saveIdentityMap();
+  return identityMap.identities[id];
+}
+
+// Split an identity back into its separate authors
+async function unlinkIdentity(id) {
+  const identity = identityMap.identities[id];
+  if (!identity) return;
+
+  delete identityMap.identities[id];
+  // Don't immediately suggest the same link again
+  identityMap.rejected.push(suggestionKey(identity.members));
+  await saveIdentityMap();
+  return identity;
+}
+
+// Remember that the user turned a suggestion down
+async function rejectIdentitySuggestion(authorKeys) {
+  identityMap.rejected.push(suggestionKey(authorKeys));
+  await saveIdentityMap();
+}
+
+// Display names compared loosely: case, accents, emoji and punctuation ignored
+function normalizeDisplayName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// The "user" part of a handle: alex.bsky.social, alex@hachyderm.io -> alex
+function handleLocalPart(handle) {
+  return (handle || '').toLowerCase().replace(/^@/, '').split(/[@.]/)[0];
+}
+
+// 64-bit average hash of an avatar, as a string of 0s and 1s
+async function avatarFingerprint(url) {
+  if (!url) return null;
+  if (avatarFingerprints.has(url)) return avatarFingerprints.get(url);
+
+  let fingerprint = null;
+  try {
+    const response = await fetch(url);
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(8, 8);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, 8, 8);
+
+    const pixels = context.getImageData(0, 0, 8, 8).data;
+    const gray = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+      gray.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+    }
+    const average = gray.reduce((sum, value) => sum + value, 0) / gray.length;
+    fingerprint = gray.map(value => (value >= average ? '1' : '0')).join('');
+  } catch (error) {
+    // Avatar host may not allow the request; fall back to name matching
+  }
+
+  avatarFingerprints.set(url, fingerprint);
+  return fingerprint;
+}
+
+function avatarsMatch(a, b) {
+  if (!a || !b) return false;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance <= AVATAR_MATCH_THRESHOLD;
+}
+
+// Suggest links between unlinked authors on different platforms whose display
+// names match and whose avatars (or, failing that, handles) match too.
+// `authors` is a list of { key, platform, handle, name, avatar }.
+async function suggestIdentityLinks(authors) {
+  const byName = new Map();
+  authors.forEach(author => {
+    if (identityByAuthor.has(author.key)) return;
+
+    const name = normalizeDisplayName(author.name);
+    if (!name) return;
+    if (!byName.has(name)) {
+      byName.set(name, []);
+    }
+    byName.get(name).push(author);
+  });
+
+  const suggestions = [];
+  for (const group of byName.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const a = group[i];
+        const b = group[j];
+        if (a.platform === b.platform) continue;
+
+        const keys = [a.key, b.key];
+        if (identityMap.rejected.includes(suggestionKey(keys))) continue;
+
+        const sameAvatar = avatarsMatch(await avatarFingerprint(a.avatar), await avatarFingerprint(b.avatar));
+        const sameHandle = handleLocalPart(a.handle) === handleLocalPart(b.handle);
+        if (!sameAvatar && !sameHandle) continue;
+
+        suggestions.push({
+          keys,
+          name: a.name,
+          authors: [a, b],
+          reason: sameAvatar ? 'Same name and avatar' : 'Same name and handle'
+        });
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+// Linked identities with their member handles, for display
+function getLinkedIdentities() {
+  return Object.values(identityMap.identities).map(identity => ({
+    id: identity.id,
+    name: identity.name,
+    members: identity.members.map(member => {
+      const separator = member.indexOf(':');
+      return { platform: member.slice(0, separator), handle: member.slice(separator + 1) };
+    })
+  }));
+}
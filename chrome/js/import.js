@@ -0,0 +1,146 @@
+// import.js
+// Reads JSON exports (see export.js) back in, loaded into the background
+// service worker
+'use strict';
+
+// Fields that point into the archive the export came from; they are
+// rebuilt for this archive when the post is merged. `unread` follows from
+// `readAt`, which is kept.
+const IMPORT_DROPPED_FIELDS = [
+  'crosspostOf', 'crossposts', 'crosspostPlatforms', 'crosspostPosts',
+  'threadRootKey', 'threadKey', 'threadPosts', 'collections',
+  'filteredBy', 'sourceTabId', 'orphanedAt', 'notifiedAt', 'unread'
+];
+
+const IMPORT_MEDIA_TYPES = ['image', 'video', 'gif', 'audio'];
+
+// Why a post can't be imported, or null if it can
+function importProblem(post) {
+  if (!post || typeof post !== 'object' || Array.isArray(post)) return 'not an object';
+  if (!SETTINGS_PLATFORMS.includes(post.platform)) return `unknown platform ${post.platform}`;
+  if (typeof post.id !== 'string' && typeof post.id !== 'number') return 'missing id';
+  if (String(post.id).trim() === '') return 'missing id';
+  if (typeof post.url !== 'string' || !/^https?:\/\//.test(post.url)) return 'missing url';
+  if (!post.author || typeof post.author !== 'object') return 'missing author';
+  if (post.content !== undefined && post.content !== null && typeof post.content !== 'string') return 'content is not text';
+  if (post.timestamp !== undefined && typeof post.timestamp !== 'number') return 'timestamp is not a number';
+  if (post.scrapedAt !== undefined && typeof post.scrapedAt !== 'number') return 'scrapedAt is not a number';
+  if (post.engagement !== undefined && (typeof post.engagement !== 'object' || post.engagement === null)) return 'engagement is not an object';
+  if (post.engagement && !Object.values(post.engagement).every(isOptionalNumber)) return 'engagement counts are not numbers';
+  if (post.media !== undefined && !Array.isArray(post.media)) return 'media is not a list';
+  if (post.links !== undefined && !Array.isArray(post.links)) return 'links is not a list';
+  if (post.engagementHistory !== undefined &&
+      !(Array.isArray(post.engagementHistory) && post.engagementHistory.every(validReading))) {
+    return 'engagementHistory is not a list of readings';
+  }
+  return null;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptionalText(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function isOptionalNumber(value) {
+  return value === undefined || value === null || typeof value === 'number';
+}
+
+function validReading(snapshot) {
+  return isObject(snapshot) && typeof snapshot.at === 'number' &&
+         ['replies', 'reposts', 'likes'].every(metric => isOptionalNumber(snapshot[metric]));
+}
+
+function validAuthor(author) {
+  return isObject(author) && ['name', 'handle', 'avatar'].every(field => isOptionalText(author[field]));
+}
+
+function validMediaEntry(item) {
+  return isObject(item) && IMPORT_MEDIA_TYPES.includes(item.type) &&
+         ['url', 'thumbnail', 'alt'].every(field => isOptionalText(item[field])) &&
+         ['width', 'height', 'duration'].every(field => isOptionalNumber(item[field])) &&
+         !!(item.url || item.thumbnail);
+}
+
+function validLink(link) {
+  return isObject(link) && typeof link.url === 'string' && /^https?:\/\//.test(link.url) &&
+         ['title', 'description', 'thumbnail', 'domain'].every(field => isOptionalText(link[field]));
+}
+
+function validSensitivity(sensitivity) {
+  return isObject(sensitivity) &&
+         Array.isArray(sensitivity.labels) && sensitivity.labels.every(label => typeof label === 'string') &&
+         isOptionalText(sensitivity.summary) &&
+         (sensitivity.mediaOnly === undefined || typeof sensitivity.mediaOnly === 'boolean');
+}
+
+function validInReplyTo(inReplyTo) {
+  return isObject(inReplyTo) &&
+         (isOptionalText(inReplyTo.id) || typeof inReplyTo.id === 'number') &&
+         isOptionalText(inReplyTo.handle) && isOptionalText(inReplyTo.name);
+}
+
+function validQuoted(quoted) {
+  return isObject(quoted) && validAuthor(quoted.author) &&
+         isOptionalText(quoted.content) && isOptionalText(quoted.url) &&
+         (quoted.media === undefined || Array.isArray(quoted.media));
+}
+
+// Drop the optional parts of an accepted post that don't have the shape the
+// feed expects, so one odd field doesn't cost the whole post
+function dropMalformedFields(post) {
+  const author = post.author;
+  ['handle', 'avatar'].forEach(field => {
+    if (!isOptionalText(author[field])) delete author[field];
+  });
+  if (typeof author.name !== 'string') {
+    author.name = author.handle || '';
+  }
+
+  if (post.sensitivity !== undefined && !validSensitivity(post.sensitivity)) delete post.sensitivity;
+  if (post.inReplyTo !== undefined && !validInReplyTo(post.inReplyTo)) delete post.inReplyTo;
+  if (post.quoted !== undefined && !validQuoted(post.quoted)) delete post.quoted;
+  if (post.media) post.media = post.media.filter(validMediaEntry);
+  if (post.quoted?.media) post.quoted.media = post.quoted.media.filter(validMediaEntry);
+  if (post.links) post.links = post.links.filter(validLink);
+  return post;
+}
+
+// Parse an export; returns the importable posts and the number rejected.
+// Throws if the file isn't a JSON export at all.
+function parseImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  // A bare list of posts is accepted too
+  const posts = Array.isArray(data) ? data : data?.posts;
+  if (!Array.isArray(posts)) {
+    throw new Error('The file is not a feed export');
+  }
+
+  const valid = [];
+  let rejected = 0;
+  posts.forEach(post => {
+    const problem = importProblem(post);
+    if (problem) {
+      console.warn(`Rejected imported post: ${problem}`);
+      rejected++;
+      return;
+    }
+    IMPORT_DROPPED_FIELDS.forEach(field => delete post[field]);
+    // The key is derived from platform and id, never trusted
+    delete post.key;
+    delete post.authorKey;
+    // Retention counts from the import, not from when it was first scraped
+    post.importedAt = Date.now();
+    valid.push(dropMalformedFields(post));
+  });
+
+  return { posts: valid, rejected };
+}
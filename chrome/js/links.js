@@ -0,0 +1,89 @@
+// links.js
+// Ranks the URLs shared across the archive, loaded into the background
+// service worker
+'use strict';
+
+// How many links the "Top links" view shows
+const TOP_LINKS_LIMIT = 50;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src|ref_url|si|igshid)$/i;
+
+// Canonical form of a URL so the same page shared from different places
+// counts once: no scheme differences, "www.", fragment, tracking parameters
+// or trailing slash
+function normalizeLinkUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${query ? `?${query}` : ''}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Group the links in `posts` by URL, most widely shared first: by distinct
+// (linked) authors, then platforms, then number of posts
+function rankSharedLinks(posts, limit = TOP_LINKS_LIMIT) {
+  const links = new Map(); // normalized URL -> entry
+
+  posts.forEach(post => {
+    // A post listing the same URL twice (text and card) shares it once
+    const seen = new Set();
+    (post.links || []).forEach(link => {
+      if (!link.url) return;
+      const key = normalizeLinkUrl(link.url);
+      if (!links.has(key)) {
+        links.set(key, {
+          url: link.url,
+          title: null,
+          description: null,
+          domain: link.domain,
+          thumbnail: null,
+          authors: new Set(),
+          platforms: new Set(),
+          posts: []
+        });
+      }
+
+      // The first share with card metadata supplies it
+      const entry = links.get(key);
+      entry.title = entry.title || link.title || null;
+      entry.description = entry.description || link.description || null;
+      entry.thumbnail = entry.thumbnail || link.thumbnail || null;
+      entry.domain = entry.domain || link.domain || null;
+
+      if (seen.has(key)) return;
+      seen.add(key);
+      entry.authors.add(identityForPost(post));
+      entry.platforms.add(post.platform);
+      entry.posts.push({
+        key: post.key,
+        url: post.url,
+        platform: post.platform,
+        software: post.software,
+        author: post.author,
+        timestamp: post.timestamp
+      });
+    });
+  });
+
+  return Array.from(links.values())
+    .map(entry => ({
+      ...entry,
+      authors: entry.authors.size,
+      platforms: Array.from(entry.platforms),
+      posts: entry.posts.sort((a, b) => b.timestamp - a.timestamp)
+    }))
+    .sort((a, b) =>
+      b.authors - a.authors ||
+      b.platforms.length - a.platforms.length ||
+      b.posts.length - a.posts.length ||
+      b.posts[0].timestamp - a.posts[0].timestamp
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,372 @@
+// mastodon-api.js
+// Optional ingestion through the Mastodon REST API, loaded into the
+// background service worker. Pulls the home, list and hashtag timelines
+// with the user's access token, so posts never scrolled into view are
+// collected too. Any origin works as the server, including
+// http://localhost:<port> for a mock instance.
+'use strict';
+
+const MASTODON_API_STORAGE_KEY = 'mastodonApi';
+
+// Newest status id seen per timeline, and the last sync's outcome
+const MASTODON_API_STATE_STORAGE_KEY = 'mastodonApiState';
+
+// Statuses per request (the API's maximum) and requests per timeline per sync
+const MASTODON_API_PAGE_SIZE = 40;
+const MASTODON_API_MAX_PAGES = 5;
+
+// Minutes between syncs
+const MASTODON_API_MIN_INTERVAL = 1;
+const MASTODON_API_MAX_INTERVAL = 1440;
+
+// API attachment type -> media type
+const MASTODON_MEDIA_TYPES = {
+  image: 'image',
+  gifv: 'gif',
+  video: 'video',
+  audio: 'audio'
+};
+
+// { enabled, server, token, timelines: ['home', 'list:42', 'tag:rust'], intervalMinutes }
+let mastodonApiConfig = normalizeMastodonApiConfig();
+
+// { cursors: { timeline: sinceId }, lastSyncAt, lastError }
+let mastodonApiState = { cursors: {}, lastSyncAt: null, lastError: null };
+
+let mastodonApiSyncing = null;
+
+async function loadMastodonApiConfig() {
+  const result = await chrome.storage.local.get([MASTODON_API_STORAGE_KEY, MASTODON_API_STATE_STORAGE_KEY]);
+  mastodonApiConfig = normalizeMastodonApiConfig(result[MASTODON_API_STORAGE_KEY]);
+  mastodonApiState = { ...mastodonApiState, ...result[MASTODON_API_STATE_STORAGE_KEY] };
+}
+
+async function saveMastodonApiState() {
+  await chrome.storage.local.set({ [MASTODON_API_STATE_STORAGE_KEY]: mastodonApiState });
+}
+
+// "https://tech.lgbt/home" -> "https://tech.lgbt"; plain http only for
+// local servers
+function normalizeMastodonServer(input) {
+  const value = (input || '').trim();
+  if (!value) return '';
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    throw new Error(`Not a server address: ${input}`);
+  }
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) {
+    throw new Error('The server must use https');
+  }
+  return url.origin;
+}
+
+// "home, list:42, #rust" (or a list) -> ['home', 'list:42', 'tag:rust']
+function parseMastodonTimelines(input) {
+  const entries = Array.isArray(input) ? input : (input || '').split(/[\s,]+/);
+  const timelines = [];
+  entries.map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    let timeline;
+    if (entry.toLowerCase() === 'home') {
+      timeline = 'home';
+    } else if (/^list:\w+$/i.test(entry)) {
+      timeline = `list:${entry.slice(5)}`;
+    } else if (/^(#|tag:)[\p{L}\p{N}_]+$/u.test(entry)) {
+      timeline = `tag:${entry.replace(/^(#|tag:)/, '').toLowerCase()}`;
+    } else {
+      throw new Error(`Unknown timeline: ${entry}`);
+    }
+    if (!timelines.includes(timeline)) {
+      timelines.push(timeline);
+    }
+  });
+  return timelines;
+}
+
+// A complete, valid configuration; throws on a bad server or timeline
+function normalizeMastodonApiConfig(raw = {}) {
+  const interval = Number(raw.intervalMinutes);
+  return {
+    enabled: raw.enabled === true,
+    server: normalizeMastodonServer(raw.server),
+    token: typeof raw.token === 'string' ? raw.token.trim() : '',
+    timelines: raw.timelines === undefined ? ['home'] : parseMastodonTimelines(raw.timelines),
+    intervalMinutes: isNaN(interval) || raw.intervalMinutes === ''
+      ? 5
+      : Math.min(MASTODON_API_MAX_INTERVAL, Math.max(MASTODON_API_MIN_INTERVAL, Math.round(interval)))
+  };
+}
+
+// Validate and store the configuration. Cursors of another server (or of
+// timelines no longer synced) are dropped.
+async function saveMastodonApiConfig(raw) {
+  const config = normalizeMastodonApiConfig(raw);
+  // The options page never gets the token back; left blank it stays as is
+  if (!config.token && config.server === mastodonApiConfig.server) {
+    config.token = mastodonApiConfig.token;
+  }
+  if (config.enabled && (!config.server || !config.token || !config.timelines.length)) {
+    throw new Error('Syncing needs a server, an access token and a timeline');
+  }
+
+  const cursors = config.server === mastodonApiConfig.server
+    ? Object.fromEntries(Object.entries(mastodonApiState.cursors).filter(([timeline]) => config.timelines.includes(timeline)))
+    : {};
+  mastodonApiConfig = config;
+  mastodonApiState = { ...mastodonApiState, cursors, lastError: null };
+
+  await chrome.storage.local.set({ [MASTODON_API_STORAGE_KEY]: config });
+  await saveMastodonApiState();
+  return config;
+}
+
+// Configuration and sync state for the options page, without the token
+function getMastodonApiStatus() {
+  return {
+    config: { ...mastodonApiConfig, token: '', hasToken: !!mastodonApiConfig.token },
+    lastSyncAt: mastodonApiState.lastSyncAt,
+    lastError: mastodonApiState.lastError
+  };
+}
+
+// Does the API sync talk to `host`? Its host permission has to stay.
+function mastodonApiUsesHost(host) {
+  return !!mastodonApiConfig.server && new URL(mastodonApiConfig.server).hostname === host;
+}
+
+function mastodonTimelinePath(timeline) {
+  if (timeline === 'home') return '/api/v1/timelines/home';
+  if (timeline.startsWith('list:')) return `/api/v1/timelines/list/${encodeURIComponent(timeline.slice(5))}`;
+  return `/api/v1/timelines/tag/${encodeURIComponent(timeline.slice(4))}`;
+}
+
+async function mastodonApiGet(path, params) {
+  const url = new URL(path, mastodonApiConfig.server);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value) url.searchParams.set(name, value);
+  });
+
+  const response = await fetch(url.href, {
+    headers: { Authorization: `Bearer ${mastodonApiConfig.token}`, Accept: 'application/json' }
+  });
+  if (response.status === 401) {
+    throw new Error('The server rejected the access token');
+  }
+  if (!response.ok) {
+    throw new Error(`${url.pathname} failed with ${response.status}`);
+  }
+  return response.json();
+}
+
+// Statuses newer than `sinceId`, newest first. since_id answers with the
+// newest page, so older pages are walked back with max_id until the gap is
+// closed (at most MASTODON_API_MAX_PAGES). Without a cursor only the
+// newest page is read.
+async function fetchMastodonTimeline(timeline, sinceId) {
+  const statuses = [];
+  let maxId = null;
+
+  for (let page = 0; page < MASTODON_API_MAX_PAGES; page++) {
+    const batch = await mastodonApiGet(mastodonTimelinePath(timeline), {
+      since_id: sinceId,
+      max_id: maxId,
+      limit: MASTODON_API_PAGE_SIZE
+    });
+    statuses.push(...batch);
+    if (!sinceId || batch.length < MASTODON_API_PAGE_SIZE) break;
+    maxId = batch[batch.length - 1].id;
+  }
+
+  return statuses;
+}
+
+// Snowflake ids grow over time, compare them as numbers of any length
+function newerStatusId(a, b) {
+  if (!a || !b) return a || b;
+  if (a.length !== b.length) return a.length > b.length ? a : b;
+  return a > b ? a : b;
+}
+
+// Status HTML -> text, keeping line and paragraph breaks
+function mastodonHtmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return entities[name.toLowerCase()] ?? entity;
+    })
+    .trim();
+}
+
+function mastodonApiAuthor(account) {
+  return {
+    name: account.display_name || account.username,
+    handle: account.acct,
+    avatar: account.avatar_static || account.avatar || ''
+  };
+}
+
+// The status's page on the server it was read from, as the web UI links it
+function mastodonApiPermalink(status) {
+  return `${mastodonApiConfig.server}/@${status.account.acct}/${status.id}`;
+}
+
+function mastodonApiMedia(status) {
+  return (status.media_attachments || [])
+    .filter(attachment => MASTODON_MEDIA_TYPES[attachment.type])
+    .map(attachment => ({
+      type: MASTODON_MEDIA_TYPES[attachment.type],
+      url: attachment.url || attachment.remote_url || null,
+      thumbnail: attachment.preview_url || null,
+      width: attachment.meta?.original?.width || null,
+      height: attachment.meta?.original?.height || null,
+      alt: attachment.description || null,
+      duration: attachment.meta?.original?.duration ? Math.round(attachment.meta.original.duration) : null
+    }));
+}
+
+// "https://www.example.com/x" -> "example.com", null if it isn't a URL
+function mastodonLinkDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Links in the text (not mentions or hashtags) plus the preview card.
+// Anything that doesn't parse as a URL is left out.
+function mastodonApiLinks(status) {
+  const links = new Map(); // URL -> link
+
+  (status.content || '').replace(/<a\s[^>]*>/gi, anchor => {
+    const href = anchor.match(/href="([^"]+)"/)?.[1];
+    if (href && /^https?:/.test(href) && !/class="[^"]*\b(mention|hashtag)\b|rel="[^"]*\btag\b/.test(anchor)) {
+      const url = mastodonHtmlToText(href);
+      const domain = mastodonLinkDomain(url);
+      if (domain) {
+        links.set(url, { url, title: null, description: null, domain, thumbnail: null });
+      }
+    }
+    return anchor;
+  });
+
+  const cardDomain = status.card?.url && mastodonLinkDomain(status.card.url);
+  if (cardDomain) {
+    links.set(status.card.url, {
+      url: status.card.url,
+      title: status.card.title || null,
+      description: status.card.description || null,
+      domain: status.card.provider_name || cardDomain,
+      thumbnail: status.card.image || null
+    });
+  }
+
+  return Array.from(links.values());
+}
+
+function mastodonApiSensitivity(status) {
+  if (!status.spoiler_text && !status.sensitive) return null;
+  return {
+    labels: [status.spoiler_text ? 'content-warning' : 'sensitive'],
+    summary: status.spoiler_text || null,
+    mediaOnly: !status.spoiler_text
+  };
+}
+
+// A quoted status (Mastodon 4.4+), when the quote was accepted
+function mastodonApiQuote(status) {
+  const quoted = status.quote?.quoted_status;
+  if (!quoted) return null;
+  return {
+    author: mastodonApiAuthor(quoted.account),
+    content: mastodonHtmlToText(quoted.content),
+    url: mastodonApiPermalink(quoted),
+    media: mastodonApiMedia(quoted),
+    timestamp: Date.parse(quoted.created_at) || null
+  };
+}
+
+// An API status as a post, the same shape mastodon-scraper.js sends. Boosts
+// become the boosted status with the booster as reposter.
+function mastodonStatusToPost(status) {
+  const original = status.reblog || status;
+  const replyMention = (original.mentions || []).find(mention => mention.id === original.in_reply_to_account_id);
+
+  return {
+    id: original.id,
+    platform: 'mastodon',
+    software: 'mastodon',
+    instance: new URL(mastodonApiConfig.server).host,
+    url: mastodonApiPermalink(original),
+    author: mastodonApiAuthor(original.account),
+    content: mastodonHtmlToText(original.content),
+    timestamp: Date.parse(original.created_at) || Date.now(),
+    timestampText: '',
+    engagement: {
+      replies: original.replies_count || 0,
+      boosts: original.reblogs_count || 0,
+      favorites: original.favourites_count || 0
+    },
+    media: mastodonApiMedia(original),
+    links: mastodonApiLinks(original),
+    sensitivity: mastodonApiSensitivity(original),
+    reposter: status.reblog ? status.account.display_name || status.account.username : null,
+    inReplyTo: original.in_reply_to_id
+      ? { id: original.in_reply_to_id, handle: replyMention ? replyMention.acct : null }
+      : null,
+    quoted: mastodonApiQuote(original),
+    scrapedAt: Date.now()
+  };
+}
+
+// Is a scheduled sync due?
+function isMastodonApiSyncDue(now = Date.now()) {
+  return mastodonApiConfig.enabled &&
+    (!mastodonApiState.lastSyncAt || now - mastodonApiState.lastSyncAt >= mastodonApiConfig.intervalMinutes * 60 * 1000);
+}
+
+// Read every configured timeline from its cursor on and hand the posts to
+// `ingest`. One sync at a time; a failing timeline keeps its cursor and
+// doesn't stop the others.
+function syncMastodonApi(ingest) {
+  if (!mastodonApiSyncing) {
+    mastodonApiSyncing = runMastodonApiSync(ingest).finally(() => {
+      mastodonApiSyncing = null;
+    });
+  }
+  return mastodonApiSyncing;
+}
+
+async function runMastodonApiSync(ingest) {
+  const { server, token, timelines } = mastodonApiConfig;
+  if (!server || !token) {
+    throw new Error('Set a server and an access token first');
+  }
+
+  const errors = [];
+  let received = 0;
+  for (const timeline of timelines) {
+    try {
+      const statuses = await fetchMastodonTimeline(timeline, mastodonApiState.cursors[timeline]);
+      if (!statuses.length) continue;
+      await ingest(statuses.map(mastodonStatusToPost));
+      received += statuses.length;
+      mastodonApiState.cursors[timeline] = statuses.reduce((newest, status) => newerStatusId(newest, status.id), mastodonApiState.cursors[timeline]);
+    } catch (error) {
+      errors.push(`${timeline}: ${error.message}`);
+    }
+  }
+
+  mastodonApiState.lastSyncAt = Date.now();
+  mastodonApiState.lastError = errors.join('; ') || null;
+  await saveMastodonApiState();
+  return { received, errors };
+}
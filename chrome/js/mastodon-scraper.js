@@ -2,305 +2,328 @@
 (function() {
   'use strict';
 
-  // Track processed toots to avoid duplicates
-  const processedToots = new Set();
-  
-  // Debounce function to limit message sending frequency
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func(...args), wait);
-    };
+  // The link to a toot's own page, around its timestamp
+  function tootPermalink(root) {
+    return root.querySelector('a.status__relative-time') ||
+           root.querySelector('a[href*="/statuses/"]') ||
+           root.querySelector('a > time')?.parentElement;
   }
 
-  // Extract toot data from article/status element
-  function extractTootData(article) {
-    try {
-      // Check for boosts (boosted by someone)
-      let booster = null;
-      const boostIndicator = article.querySelector('.status__prepend span') ||
-                             article.querySelector('[class*="reblog"]');
-      if (boostIndicator) {
-        const boostText = boostIndicator.textContent;
-        // Extract name from "Username boosted" or similar patterns
-        const match = boostText.match(/^(.+?)\s+boosted/i);
-        if (match) {
-          booster = match[1].trim();
-        }
-      }
+  // Get the toot ID from an article's permalink
+  // (e.g. https://mastodon.social/@user/123456789)
+  function getTootId(article) {
+    return tootPermalink(article)?.href?.match(/\/(@.+|\d+)\/(\d+)/)?.[2] || null;
+  }
 
-      // Mastodon uses article.status class for each toot
-      // Find the permalink to get the unique ID and URL
-      const permalinkLink = article.querySelector('a.status__relative-time') ||
-                            article.querySelector('a[href*="/statuses/"]') ||
-                            article.querySelector('a > time');
-      
-      if (!permalinkLink || !permalinkLink.href) return null;
-      
-      const tootUrl = permalinkLink.href;
-      // Extract toot ID from URL (e.g., https://mastodon.social/@user/123456789)
-      const tootMatch = tootUrl.match(/\/(@.+|\d+)\/(\d+)/);
-      if (!tootMatch) return null;
-      
-      const tootId = tootMatch[2];
-      
-      if (processedToots.has(tootId)) {
-        return null;
-      }
+  // On a conversation page (/@user/<id>) the toots above the detailed status
+  // are its ancestors, oldest first
+  function getConversationContext(toots) {
+    const context = new Map();
+    const focalId = location.pathname.match(/\/@[^\/]+\/(\d+)/)?.[1];
+    const detailedStatus = document.querySelector('.detailed-status');
+    if (!focalId || !detailedStatus) return context;
 
-      // Extract author information
-      let authorName = '';
-      let authorHandle = '';
-      let authorAvatar = '';
-      
-      // Author name - usually in display-name class
-      const displayNameElement = article.querySelector('.display-name__html') ||
-                                  article.querySelector('.display-name strong') ||
-                                  article.querySelector('a[class*="display-name"]');
-      if (displayNameElement) {
-        authorName = displayNameElement.textContent.trim();
-      }
-      
-      // Author handle - usually in @username format
-      const accountElement = article.querySelector('.display-name__account') ||
-                             article.querySelector('a[class*="account"]') ||
-                             article.querySelector('span[class*="username"]');
-      if (accountElement) {
-        authorHandle = accountElement.textContent.trim().replace('@', '');
-      }
-      
-      // Extract avatar
-      const avatarImg = article.querySelector('.account__avatar img') ||
-                        article.querySelector('img[class*="avatar"]');
-      if (avatarImg) {
-        authorAvatar = avatarImg.src;
+    const ancestors = toots.filter(toot =>
+      !toot.contains(detailedStatus) &&
+      (toot.compareDocumentPosition(detailedStatus) & Node.DOCUMENT_POSITION_FOLLOWING)
+    );
+    const ids = ancestors.map(getTootId);
+    for (let i = 1; i < ancestors.length; i++) {
+      if (ids[i] && ids[i - 1]) {
+        context.set(ancestors[i], { parentId: ids[i - 1], rootId: ids[0] });
       }
+    }
 
-      // Extract toot content
-      // Mastodon uses .status__content for the main text
-      const contentElement = article.querySelector('.status__content') ||
-                             article.querySelector('div[class*="content"]');
-      
-      let tootContent = '';
-      if (contentElement) {
-        // Get text content, preserving line breaks
-        const contentClone = contentElement.cloneNode(true);
-        // Remove any "Show more" buttons or CW overlays
-        contentClone.querySelectorAll('.status__content__spoiler-link, .status__content__read-more-button').forEach(el => el.remove());
-        tootContent = contentClone.textContent.trim();
-      }
+    // The focal toot replies to the last ancestor
+    const focalToot = toots.find(toot => toot.contains(detailedStatus) || getTootId(toot) === focalId);
+    if (focalToot && ids.length > 0 && ids[ids.length - 1]) {
+      context.set(focalToot, { parentId: ids[ids.length - 1], rootId: ids[0] });
+    }
+    return context;
+  }
 
-      // Extract timestamp
-      let timestamp = null;
-      let timestampText = '';
-      
-      const timeElement = article.querySelector('time');
-      if (timeElement) {
-        const datetime = timeElement.getAttribute('datetime');
-        if (datetime) {
-          timestamp = new Date(datetime).getTime();
-        }
-        timestampText = timeElement.textContent.trim();
-      }
-      
-      if (!timestamp) {
-        timestamp = Date.now();
-      }
+  // Links shared in a toot: content links (not mentions, hashtags or quote
+  // links) plus the preview card Mastodon renders below the content
+  function extractLinks(contentElement, statusCard) {
+    const links = new Map(); // URL -> link
 
-      // Extract engagement metrics
-      // Mastodon shows these in the action bar
-      let replyCount = 0;
-      let boostCount = 0;
-      let favoriteCount = 0;
-
-      // Replies
-      const replyButton = article.querySelector('.status__action-bar__button[title*="Reply"]') ||
-                          article.querySelector('button[aria-label*="Reply"]') ||
-                          article.querySelector('[data-reaction-type="reply"]');
-      if (replyButton) {
-        const replyText = replyButton.textContent.trim();
-        const replyMatch = replyText.match(/\d+/);
-        replyCount = replyMatch ? parseInt(replyMatch[0]) : 0;
-      }
+    contentElement?.querySelectorAll('a[href]:not(.mention):not(.hashtag):not([rel~="tag"])').forEach(anchor => {
+      if (!/^https?:/.test(anchor.href) || anchor.closest('.quote-inline')) return;
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: null,
+        description: null,
+        domain: linkDomain(anchor.href),
+        thumbnail: null
+      });
+    });
 
-      // Favorites (Likes)
-      const favoriteButton = article.querySelector('.status__action-bar__button[title*="Favourite"]') ||
-                             article.querySelector('button[aria-label*="Favourite"]') ||
-                             article.querySelector('[data-reaction-type="favourite"]');
-      if (favoriteButton) {
-        const favoriteText = favoriteButton.textContent.trim();
-        const favoriteMatch = favoriteText.match(/\d+/);
-        favoriteCount = favoriteMatch ? parseInt(favoriteMatch[0]) : 0;
+    const cardLink = statusCard?.matches('a[href]') ? statusCard : statusCard?.querySelector('a[href]');
+    if (cardLink) {
+      const title = statusCard.querySelector('.status-card__title');
+      const description = statusCard.querySelector('.status-card__description');
+      const host = statusCard.querySelector('.status-card__host');
+      const thumbnail = statusCard.querySelector('.status-card__image img');
+      links.set(cardLink.href, {
+        url: cardLink.href,
+        title: title ? title.textContent.trim() : null,
+        description: description ? description.textContent.trim() : null,
+        domain: host ? host.textContent.trim() : linkDomain(cardLink.href),
+        thumbnail: thumbnail ? thumbnail.src : null
+      });
+    }
+
+    return Array.from(links.values());
+  }
+
+  // Attachments of a toot (or quoted toot) as typed media entries
+  function extractMedia(root, include = () => true) {
+    const media = [];
+
+    root.querySelectorAll('.media-gallery__item').forEach(item => {
+      if (!include(item)) return;
+
+      // GIFs are uploaded as silent looping MP4s ("gifv")
+      const gifv = item.querySelector('video.media-gallery__item-gifv-thumbnail, video');
+      if (gifv) {
+        media.push({
+          type: 'gif',
+          url: gifv.src || null,
+          thumbnail: gifv.poster || null,
+          width: gifv.videoWidth || null,
+          height: gifv.videoHeight || null,
+          alt: gifv.getAttribute('aria-label') || gifv.title || null,
+          duration: null
+        });
+        return;
       }
 
-      // Extract media attachments
-      const images = [];
-      const mediaElements = article.querySelectorAll('.media-gallery__item img, .video-player img, .audio-player img');
-      mediaElements.forEach(img => {
-        if (img.src && !img.src.includes('avatar')) {
-          // Get the full-size image URL if available
-          const fullSizeUrl = img.getAttribute('data-original') || img.src;
-          images.push(fullSizeUrl);
-        }
+      // Hidden sensitive media only renders a blurhash canvas
+      const img = item.querySelector('img');
+      if (!img || !img.src || img.src.includes('avatar')) return;
+      const link = item.querySelector('a.media-gallery__item-thumbnail');
+      media.push({
+        type: 'image',
+        url: link?.href || img.getAttribute('data-original') || img.src,
+        thumbnail: img.src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        alt: img.alt || null,
+        duration: null
       });
+    });
 
-      // Check for content warnings
-      let hasContentWarning = false;
-      const cwElement = article.querySelector('.status__content__spoiler-link');
-      if (cwElement) {
-        hasContentWarning = true;
-      }
+    root.querySelectorAll('.video-player').forEach(player => {
+      const video = player.querySelector('video');
+      if (!video || !include(player)) return;
+      media.push({
+        type: 'video',
+        url: video.src || null,
+        thumbnail: video.poster || player.querySelector('img')?.src || null,
+        width: video.videoWidth || null,
+        height: video.videoHeight || null,
+        alt: video.getAttribute('aria-label') || video.title || null,
+        duration: mediaDuration(video, player.querySelector('.video-player__time'))
+      });
+    });
 
-      // Boosts (Retweets)
-      const boostButton = article.querySelector('.status__action-bar__button[title*="Boost"]') ||
-                          article.querySelector('button[aria-label*="Boost"]') ||
-                          article.querySelector('[data-reaction-type="reblog"]');
-      if (boostButton) {
-        const boostText = boostButton.textContent.trim();
-        const boostMatch = boostText.match(/\d+/);
-        boostCount = boostMatch ? parseInt(boostMatch[0]) : 0;
-      }
+    root.querySelectorAll('.audio-player').forEach(player => {
+      const audio = player.querySelector('audio');
+      if (!include(player)) return;
+      media.push({
+        type: 'audio',
+        url: audio?.src || null,
+        thumbnail: player.querySelector('img')?.src || null,
+        width: null,
+        height: null,
+        alt: audio?.getAttribute('aria-label') || audio?.title || null,
+        duration: mediaDuration(audio, player.querySelector('.video-player__time'))
+      });
+    });
 
-      // Get instance from URL
-      const instanceMatch = tootUrl.match(/https?:\/\/([^\/]+)/);
-      const instance = instanceMatch ? instanceMatch[1] : 'unknown';
+    return media;
+  }
 
-      // Mark as processed
-      processedToots.add(tootId);
+  // Content warning and sensitive-media flag. The CW summary sits in
+  // .content-warning (4.3+) or in a .p-summary span inside the content.
+  function extractSensitivity(article, include) {
+    const summaryElement = Array.from(article.querySelectorAll('.content-warning p, .status__content .p-summary, .spoiler-text'))
+      .find(include);
+    const hasContentWarning = !!summaryElement ||
+      !!Array.from(article.querySelectorAll('.status__content__spoiler-link')).find(include);
+    const sensitiveMedia = !!Array.from(article.querySelectorAll('.spoiler-button, .media-gallery__item--sensitive'))
+      .find(include);
 
-      return {
-        id: tootId,
-        platform: 'mastodon',
-        instance: instance,
-        url: tootUrl,
-        author: {
-          name: authorName,
-          handle: authorHandle,
-          avatar: authorAvatar
-        },
-        content: tootContent,
-        timestamp: timestamp,
-        timestampText: timestampText,
-        engagement: {
-          replies: replyCount,
-          boosts: boostCount,
-          favorites: favoriteCount
-        },
-        images: images,
-        hasContentWarning: hasContentWarning,
-        reposter: booster,
-        scrapedAt: Date.now()
-      };
-    } catch (error) {
-      console.error('Error extracting Mastodon toot data:', error);
-      return null;
-    }
+    if (!hasContentWarning && !sensitiveMedia) return null;
+    return {
+      labels: [hasContentWarning ? 'content-warning' : 'sensitive'],
+      summary: summaryElement ? summaryElement.textContent.trim() : null,
+      mediaOnly: !hasContentWarning
+    };
   }
 
-  // Send toot data to background script
-  function sendTootData(tootData) {
-    if (!tootData) return;
-    
-    chrome.runtime.sendMessage({
-      type: 'NEW_POST',
-      data: tootData,
-      tabId: chrome.runtime.id
-    }).catch(err => {
-      console.error('Failed to send toot data:', err);
-    });
+  // Extract a quoted toot (Mastodon 4.4+ nests it in .status__quote)
+  function extractQuotedToot(quoteElement) {
+    const displayNameElement = quoteElement.querySelector('.display-name__html') ||
+                               quoteElement.querySelector('.display-name strong');
+    const accountElement = quoteElement.querySelector('.display-name__account');
+    const avatarImg = quoteElement.querySelector('.account__avatar img');
+    const contentElement = quoteElement.querySelector('.status__content');
+    const permalinkLink = tootPermalink(quoteElement);
+
+    return {
+      author: {
+        name: displayNameElement ? displayNameElement.textContent.trim() : '',
+        handle: accountElement ? accountElement.textContent.trim().replace('@', '') : '',
+        avatar: avatarImg ? avatarImg.src : ''
+      },
+      content: contentElement ? contentElement.textContent.trim() : '',
+      url: permalinkLink ? permalinkLink.href : null,
+      media: extractMedia(quoteElement),
+      timestamp: parseTimeElement(quoteElement.querySelector('time'))
+    };
   }
 
-  // Scan for toots in the current viewport
-  function scanForToots() {
-    // Mastodon uses article.status for each toot
-    const tootSelectors = [
-      'article.status',
-      'article[data-id]',
-      'article > div.status',
-      
-    ];
-
-    let toots = [];
-    for (const selector of tootSelectors) {
-      const elements = document.querySelectorAll(selector);
-      if (elements.length > 0) {
-        toots = Array.from(elements);
-        break;
-      }
+  // Quote from a nested quote card, or just the URL from an inline "RE:" link
+  function extractQuote(article, quoteElement) {
+    if (quoteElement) {
+      return extractQuotedToot(quoteElement);
     }
 
-    toots.forEach(toot => {
-      const tootData = extractTootData(toot);
-      if (tootData) {
-        sendTootData(tootData);
-      }
-    });
+    const inlineQuote = article.querySelector('.quote-inline a');
+    if (inlineQuote) {
+      return { author: { name: '', handle: '', avatar: '' }, content: '', url: inlineQuote.href, media: [], timestamp: null };
+    }
+    return null;
   }
 
-  // Debounced scan function
-  const debouncedScan = debounce(scanForToots, 500);
+  // Action bar count, e.g. the "3" on the reply button
+  function actionCount(article, selectors) {
+    const button = selectors.map(selector => article.querySelector(selector)).find(Boolean);
+    return button ? countFromText(button.textContent) : 0;
+  }
+
+  registerFediverseAdapter('mastodon', {
+    name: 'Mastodon',
+    selectors: {
+      // Mastodon uses article.status for each toot
+      posts: [
+        'article.status',
+        'article[data-id]',
+        'article > div.status'
+      ],
+      added: 'article.status, div.status',
+      root: ['main', '.scrollable', '[role="main"]']
+    },
 
-  // Initial scan when script loads
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', scanForToots);
-  } else {
     // Wait a bit for React/Vue to render
-    setTimeout(scanForToots, 1000);
-  }
+    renderDelay: 1000,
 
-  // Monitor DOM changes for new toots (infinite scroll, real-time updates)
-  const observer = new MutationObserver((mutations) => {
-    const hasNewToots = mutations.some(mutation => {
-      return Array.from(mutation.addedNodes).some(node => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          return node.matches('article.status') || 
-                 node.querySelector('article.status') ||
-                 node.matches('div.status') ||
-                 node.querySelector('div.status');
-        }
-        return false;
-      });
-    });
+    id: getTootId,
 
-    if (hasNewToots) {
-      debouncedScan();
-    }
-  });
+    conversation: getConversationContext,
 
-  // Start observing the main timeline
-  const targetNode = document.querySelector('main') || 
-                     document.querySelector('.scrollable') ||
-                     document.querySelector('[role="main"]') ||
-                     document.body;
-  
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true
-  });
+    context: article => {
+      // Quoted toot, nested inside this one
+      const quoteElement = article.querySelector('.status__quote, .quoted-status');
+      const outsideQuote = el => !quoteElement || !quoteElement.contains(el);
 
-  // Listen for visibility changes (tab switching)
-  document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-      // Tab became visible, rescan for new toots
-      setTimeout(scanForToots, 1000);
-    }
-  });
+      // Mastodon uses .status__content for the main text
+      const contentElement = Array.from(article.querySelectorAll('.status__content')).find(outsideQuote) ||
+                             article.querySelector('div[class*="content"]');
 
-  // Handle navigation within Mastodon's SPA
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const currentUrl = location.href;
-    if (currentUrl !== lastUrl) {
-      lastUrl = currentUrl;
-      // URL changed, clear processed toots and rescan
-      processedToots.clear();
-      setTimeout(scanForToots, 1000);
-    }
-  }).observe(document, { subtree: true, childList: true });
+      return {
+        permalinkLink: tootPermalink(article),
+        quoteElement,
+        outsideQuote,
+        contentElement,
+        timeElement: article.querySelector('time')
+      };
+    },
+
+    fields: {
+      // e.g. https://mastodon.social/@user/123456789
+      instance: (article, { permalinkLink }) => permalinkLink.href.match(/https?:\/\/([^\/]+)/)?.[1] || 'unknown',
+
+      url: (article, { permalinkLink }) => permalinkLink.href,
+
+      author: article => {
+        // Name in the display-name class, handle in @username format
+        const displayNameElement = article.querySelector('.display-name__html') ||
+                                   article.querySelector('.display-name strong') ||
+                                   article.querySelector('a[class*="display-name"]');
+        const accountElement = article.querySelector('.display-name__account') ||
+                               article.querySelector('a[class*="account"]') ||
+                               article.querySelector('span[class*="username"]');
+        const avatarImg = article.querySelector('.account__avatar img') ||
+                          article.querySelector('img[class*="avatar"]');
+        return {
+          name: displayNameElement ? displayNameElement.textContent.trim() : '',
+          handle: accountElement ? accountElement.textContent.trim().replace('@', '') : '',
+          avatar: avatarImg ? avatarImg.src : ''
+        };
+      },
+
+      content: (article, { contentElement }) => {
+        if (!contentElement) return '';
+        // Remove any "Show more" buttons, CW summaries and inline "RE:" quote links
+        const contentClone = contentElement.cloneNode(true);
+        contentClone.querySelectorAll('.status__content__spoiler-link, .status__content__read-more-button, .p-summary, .quote-inline').forEach(el => el.remove());
+        return contentClone.textContent.trim();
+      },
+
+      timestamp: (article, { timeElement }) => parseTimeElement(timeElement) || Date.now(),
 
-  // Periodic rescan every 30 seconds to catch any missed toots
-  setInterval(scanForToots, 30000);
+      timestampText: (article, { timeElement }) => timeElement ? timeElement.textContent.trim() : '',
 
-  console.log('Mastodon scraper content script initialized');
+      // Counts from the action bar
+      engagement: article => ({
+        replies: actionCount(article, [
+          '.status__action-bar__button[title*="Reply"]',
+          'button[aria-label*="Reply"]',
+          '[data-reaction-type="reply"]'
+        ]),
+        boosts: actionCount(article, [
+          '.status__action-bar__button[title*="Boost"]',
+          'button[aria-label*="Boost"]',
+          '[data-reaction-type="reblog"]'
+        ]),
+        favorites: actionCount(article, [
+          '.status__action-bar__button[title*="Favourite"]',
+          'button[aria-label*="Favourite"]',
+          '[data-reaction-type="favourite"]'
+        ])
+      }),
+
+      media: (article, { outsideQuote }) => extractMedia(article, outsideQuote),
+
+      links: (article, { contentElement, outsideQuote }) =>
+        extractLinks(contentElement, Array.from(article.querySelectorAll('.status-card')).find(outsideQuote)),
+
+      sensitivity: (article, { outsideQuote }) => extractSensitivity(article, outsideQuote),
+
+      // "Username boosted"
+      reposter: article => {
+        const boostIndicator = article.querySelector('.status__prepend span') ||
+                               article.querySelector('[class*="reblog"]');
+        return boostIndicator?.textContent.match(/^(.+?)\s+boosted/i)?.[1].trim() || null;
+      },
+
+      // Mastodon marks replies with .status-reply, and the first mention in
+      // the text is usually who is being replied to
+      inReplyTo: (article, { conversation }) => {
+        const isReply = article.matches('.status-reply') || !!article.querySelector('.status-reply');
+        if (!conversation && !isReply) return null;
+        const mention = article.querySelector('.status__content a.mention');
+        return {
+          id: conversation?.parentId || null,
+          handle: mention ? mention.textContent.trim().replace(/^@/, '') : null
+        };
+      },
+
+      threadRootId: (article, { conversation }) => conversation?.rootId || null,
+
+      quoted: (article, { quoteElement }) => extractQuote(article, quoteElement)
+    }
+  });
 })();
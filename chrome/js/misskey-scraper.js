@@ -0,0 +1,236 @@
+// misskey-scraper.js
+// Misskey and its forks (Sharkey, Firefish, Iceshrimp, ...). Class names
+// are hashed per build, so notes are found by their elements, links and
+// Tabler icons instead.
+(function() {
+  'use strict';
+
+  // Note permalinks: /notes/{id}
+  const NOTE_PATH = /\/notes\/([0-9a-z]+)/i;
+
+  // Profile links: /@{username} or /@{username}@{host}
+  const USER_PATH = /^\/@([^\/\?]+)/;
+
+  // A note's parts: the header and footer are siblings in its main column,
+  // with the body (CW, text, media, quote) in between. A note replied to is
+  // drawn above without a footer, a quoted one inside the body.
+  function noteParts(note) {
+    const footer = note.querySelector('footer');
+    const header = footer && Array.from(footer.parentElement.children).find(el => el.tagName === 'HEADER');
+    if (!header) return null;
+    const body = header.nextElementSibling !== footer ? header.nextElementSibling : null;
+    return { header, body, footer };
+  }
+
+  function getPermalink(header) {
+    return header.querySelector('a[href*="/notes/"]');
+  }
+
+  function getNoteId(note) {
+    const parts = noteParts(note);
+    return parts ? getPermalink(parts.header)?.href.match(NOTE_PATH)?.[1] || null : null;
+  }
+
+  // Name, handle ("user" or "user@host") and avatar from a note header
+  function extractAuthor(root, header) {
+    const userLink = header.querySelector('a[href^="/@"]');
+    const path = userLink?.getAttribute('href');
+    const avatarImg = path && Array.from(root.querySelectorAll(`a[href="${path}"] img`)).find(img => !header.contains(img));
+    return {
+      name: userLink ? userLink.textContent.trim() : '',
+      handle: path?.match(USER_PATH)?.[1] || '',
+      avatar: avatarImg ? avatarImg.src : ''
+    };
+  }
+
+  // Relative time in the header; the absolute time is only in its title
+  function extractTimestamp(header) {
+    const time = getPermalink(header)?.querySelector('time');
+    const absolute = time?.getAttribute('title') ? new Date(time.getAttribute('title')).getTime() : NaN;
+    return parseTimeElement(time) || (isNaN(absolute) ? parseRelativeTime(time?.textContent || '') : absolute);
+  }
+
+  // The quoted note: a nested note (with its own header) inside the body
+  function findQuote(body) {
+    return body?.querySelector('header')?.parentElement?.parentElement || null;
+  }
+
+  // The content warning: a paragraph with the "show content" button
+  function findContentWarning(body, include) {
+    return Array.from(body?.querySelectorAll('p') || []).find(p => p.querySelector('button') && include(p)) || null;
+  }
+
+  // Custom emoji (alt ":name:") and Twemoji are images too
+  function isEmoji(img) {
+    return /^:.+:$/.test(img.alt || '') || /twemoji|emoji/.test(img.src);
+  }
+
+  // Attachments in the body, skipping avatars, emoji and link previews
+  function extractMedia(body, include = () => true) {
+    const media = [];
+    if (!body) return media;
+
+    body.querySelectorAll('img').forEach(img => {
+      if (!include(img) || !img.src || isEmoji(img) || img.closest('a[href^="/@"]') ||
+          img.closest('a[href^="http"]')?.querySelector('h1')) return;
+      media.push({
+        type: /\.gif(\?|$)/.test(img.src) ? 'gif' : 'image',
+        url: img.closest('a[href]')?.href || img.src,
+        thumbnail: img.src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        alt: img.alt || img.title || null,
+        duration: null
+      });
+    });
+
+    body.querySelectorAll('video, audio').forEach(player => {
+      if (!include(player)) return;
+      media.push({
+        type: player.tagName === 'AUDIO' ? 'audio' : 'video',
+        url: player.src || player.querySelector('source')?.src || null,
+        thumbnail: player.poster || null,
+        width: player.videoWidth || null,
+        height: player.videoHeight || null,
+        alt: player.title || null,
+        duration: mediaDuration(player, player.parentElement)
+      });
+    });
+
+    return media;
+  }
+
+  // Off-site links in the text, and URL previews (a link card with a title)
+  function extractLinks(body, include) {
+    const links = new Map(); // URL -> link
+    body?.querySelectorAll('a[href^="http"]').forEach(anchor => {
+      const domain = linkDomain(anchor.href);
+      if (!include(anchor) || domain === location.hostname.replace(/^www\./, '')) return;
+      const title = anchor.querySelector('h1');
+      const description = anchor.querySelector('p');
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: title ? title.textContent.trim() : links.get(anchor.href)?.title || null,
+        description: description ? description.textContent.trim() : null,
+        domain: domain,
+        thumbnail: null
+      });
+    });
+    return Array.from(links.values());
+  }
+
+  // Note text without the CW, quote, link previews and buttons
+  function extractText(body, exclude) {
+    if (!body) return '';
+    const clone = body.cloneNode(true);
+    const originals = Array.from(body.querySelectorAll('*'));
+    const copies = Array.from(clone.querySelectorAll('*'));
+    originals.forEach((el, index) => {
+      if (exclude(el)) copies[index].remove();
+    });
+    clone.querySelectorAll('button').forEach(el => el.remove());
+    clone.querySelectorAll('a[href^="http"] h1').forEach(el => el.closest('a').remove());
+    return clone.textContent.trim();
+  }
+
+  // Count beside a footer button, found by its icon
+  function footerCount(footer, icons) {
+    const button = Array.from(footer.querySelectorAll('button'))
+      .find(el => icons.some(icon => el.querySelector(`i.${icon}`)));
+    return button ? countFromText(button.textContent) : 0;
+  }
+
+  registerFediverseAdapter('misskey', {
+    name: 'Misskey',
+    selectors: {
+      posts: ['article'],
+      added: 'article, a[href*="/notes/"]',
+      root: ['main', '#misskey_app']
+    },
+
+    // Wait a bit for Misskey's Vue app to render
+    renderDelay: 1500,
+
+    // Notes without a header/footer pair (and notes nested in notes) are
+    // skipped by having no id
+    id: getNoteId,
+
+    skip: note => !!note.parentElement?.closest('article'),
+
+    context: note => {
+      const { header, body, footer } = noteParts(note);
+      const quoteElement = findQuote(body);
+      const outsideQuote = el => !quoteElement || !quoteElement.contains(el);
+      const contentWarning = findContentWarning(body, outsideQuote);
+
+      // A note replied to is drawn above this one's header, with a header
+      // of its own (unlike the "Renoted by" bar)
+      const replyLink = Array.from(note.querySelectorAll('header a[href*="/notes/"]'))
+        .find(link => header.compareDocumentPosition(link) & Node.DOCUMENT_POSITION_PRECEDING);
+
+      return { header, body, footer, quoteElement, outsideQuote, contentWarning, replyLink };
+    },
+
+    fields: {
+      instance: () => location.host,
+
+      url: (note, { header }) => getPermalink(header).href,
+
+      author: (note, { header }) => extractAuthor(note, header),
+
+      content: (note, { body, quoteElement, contentWarning }) =>
+        extractText(body, el => el === quoteElement || el === contentWarning),
+
+      timestamp: (note, { header }) => extractTimestamp(header),
+
+      timestampText: (note, { header }) => getPermalink(header).textContent.trim(),
+
+      // Reactions stand in for likes
+      engagement: (note, { footer }) => ({
+        replies: footerCount(footer, ['ti-arrow-back-up']),
+        reposts: footerCount(footer, ['ti-repeat']),
+        likes: footerCount(footer, ['ti-plus', 'ti-heart', 'ti-mood-plus'])
+      }),
+
+      media: (note, { body, outsideQuote }) => extractMedia(body, outsideQuote),
+
+      links: (note, { body, outsideQuote }) => extractLinks(body, outsideQuote),
+
+      sensitivity: (note, { contentWarning }) => contentWarning
+        ? { labels: ['content-warning'], summary: extractText(contentWarning, () => false) || null, mediaOnly: false }
+        : null,
+
+      // Renotes carry a "Renoted by" bar with the repeat icon above the note
+      reposter: (note, { header, footer }) => {
+        const icon = Array.from(note.querySelectorAll('i.ti-repeat'))
+          .find(el => !footer.contains(el) && (header.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_PRECEDING));
+        // The bar links the renoter twice: avatar, then name
+        return Array.from(icon?.parentElement.querySelectorAll('a[href^="/@"]') || [])
+          .map(link => link.textContent.trim())
+          .find(Boolean) || null;
+      },
+
+      inReplyTo: (note, { header, replyLink }) => {
+        if (!replyLink) return null;
+        const replyHeader = replyLink.closest('header');
+        return {
+          id: replyLink.href.match(NOTE_PATH)?.[1] || null,
+          handle: replyHeader ? extractAuthor(note, replyHeader).handle : null
+        };
+      },
+
+      quoted: (note, { quoteElement }) => {
+        const quoteHeader = quoteElement?.querySelector('header');
+        if (!quoteHeader) return null;
+        const quoteBody = quoteHeader.nextElementSibling;
+        return {
+          author: extractAuthor(quoteElement, quoteHeader),
+          content: extractText(quoteBody, () => false),
+          url: getPermalink(quoteHeader)?.href || null,
+          media: extractMedia(quoteBody),
+          timestamp: extractTimestamp(quoteHeader)
+        };
+      }
+    }
+  });
+})();
@@ -0,0 +1,223 @@
+// platforms.js
+// Which platform a site belongs to, loaded into the background service
+// worker. Built-in sites come from the manifest's content scripts; fediverse
+// instances the user adds are granted at runtime (optional host permissions)
+// and get the fediverse content scripts registered for them.
+'use strict';
+
+const INSTANCES_STORAGE_KEY = 'fediverseInstances';
+
+// Id of the content script registration covering added instances
+const INSTANCE_SCRIPTS_ID = 'fediverse-instances';
+
+// The script that tells which platform a manifest content_scripts entry is for
+const PLATFORM_CONTENT_SCRIPTS = {
+  'js/twitter-scraper.js': 'twitter',
+  'js/bluesky-scraper.js': 'bluesky',
+  'js/threads-scraper.js': 'threads',
+  'js/reddit-scraper.js': 'reddit',
+  'js/fediverse.js': 'mastodon'
+};
+
+// Page markers of each fediverse web app, for servers without NodeInfo
+// (the same elements fediverse.js looks for in open tabs)
+const FEDIVERSE_PAGE_MARKERS = [
+  ['mastodon', /<div[^>]+id=["']mastodon["']|<body[^>]+class=["'][^"']*\bapp-body\b/],
+  ['misskey', /id=["']misskey_app["']|<meta[^>]+name=["']application-name["'][^>]+content=["']Misskey/],
+  ['akkoma', /<noscript>[^<]*(Pleroma|Akkoma)/i],
+  ['gotosocial', /<meta[^>]+name=["']generator["'][^>]+content=["']GoToSocial/]
+];
+
+// host -> { host, software, version, addedAt }
+let fediverseInstances = {};
+
+// [{ host, platform }] from the manifest, host may start with "*."
+let builtInPlatformHosts = null;
+
+// Load added instances and make sure their content scripts are registered
+async function loadInstances() {
+  const result = await chrome.storage.local.get([INSTANCES_STORAGE_KEY]);
+  fediverseInstances = result[INSTANCES_STORAGE_KEY] || {};
+  await syncInstanceScripts();
+}
+
+async function saveInstances() {
+  await chrome.storage.local.set({ [INSTANCES_STORAGE_KEY]: fediverseInstances });
+}
+
+// "https://*.social/*" -> "*.social"
+function matchPatternHost(pattern) {
+  return pattern.match(/^[^:]+:\/\/([^\/]+)/)?.[1] || '';
+}
+
+function getBuiltInPlatformHosts() {
+  if (!builtInPlatformHosts) {
+    builtInPlatformHosts = chrome.runtime.getManifest().content_scripts.flatMap(entry => {
+      const script = entry.js.find(file => PLATFORM_CONTENT_SCRIPTS[file]);
+      return script
+        ? entry.matches.map(match => ({ host: matchPatternHost(match), platform: PLATFORM_CONTENT_SCRIPTS[script] }))
+        : [];
+    });
+  }
+  return builtInPlatformHosts;
+}
+
+function hostMatches(host, pattern) {
+  return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
+
+// Platform of the site `url` is on, or null for sites we don't collect from
+function platformForUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  if (!host) return null;
+  if (fediverseInstances[host]) return 'mastodon';
+  return getBuiltInPlatformHosts().find(entry => hostMatches(host, entry.host))?.platform || null;
+}
+
+// Host from what the user typed: "tech.lgbt", "https://tech.lgbt/home", ...
+function normalizeInstanceHost(input) {
+  const value = (input || '').trim().toLowerCase();
+  let host;
+  try {
+    host = new URL(/^[a-z]+:\/\//.test(value) ? value : `https://${value}`).hostname;
+  } catch (error) {
+    host = '';
+  }
+  if (!/^([a-z0-9-]+\.)+[a-z0-9-]+$/.test(host)) {
+    throw new Error(`Not a server address: ${input}`);
+  }
+  return host;
+}
+
+// Match pattern for the optional host permission and content scripts
+function instanceOrigin(host) {
+  return `https://${host}/*`;
+}
+
+// The scripts the manifest runs on fediverse servers
+function fediverseContentScripts() {
+  return chrome.runtime.getManifest().content_scripts
+    .find(entry => entry.js.includes('js/fediverse.js')).js;
+}
+
+// Which fediverse software `host` runs, from its NodeInfo metadata or
+// failing that the markers its web app puts in the page. Throws if it
+// isn't a fediverse server we have an adapter for.
+async function verifyInstance(host) {
+  let software = await readNodeInfo(`https://${host}`).catch(() => null);
+
+  if (!software) {
+    let html = '';
+    try {
+      const response = await fetch(`https://${host}/`);
+      html = response.ok ? await response.text() : '';
+    } catch (error) {
+      throw new Error(`Couldn't reach ${host}`);
+    }
+    const match = FEDIVERSE_PAGE_MARKERS.find(([, marker]) => marker.test(html));
+    software = match ? { name: match[0], version: null } : null;
+  }
+
+  if (!software) {
+    throw new Error(`${host} doesn't look like a fediverse server`);
+  }
+  if (!FEDIVERSE_ADAPTERS[software.name]) {
+    throw new Error(`${host} runs ${software.name}, which isn't supported`);
+  }
+  return software;
+}
+
+// Register the fediverse content scripts for every added instance we still
+// have permission for
+async function syncInstanceScripts() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [INSTANCE_SCRIPTS_ID] });
+  if (registered.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: [INSTANCE_SCRIPTS_ID] });
+  }
+
+  const origins = [];
+  for (const host of Object.keys(fediverseInstances)) {
+    if (await chrome.permissions.contains({ origins: [instanceOrigin(host)] })) {
+      origins.push(instanceOrigin(host));
+    }
+  }
+  if (!origins.length) return;
+
+  await chrome.scripting.registerContentScripts([{
+    id: INSTANCE_SCRIPTS_ID,
+    matches: origins,
+    js: fediverseContentScripts(),
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  }]);
+}
+
+// Add an instance the user has granted access to. The permission request
+// happens in the options page, which has the user gesture it needs; it is
+// given back if the server doesn't check out.
+async function addInstance(input) {
+  const host = normalizeInstanceHost(input);
+  if (platformForUrl(`https://${host}/`)) {
+    throw new Error(`${host} is already collected`);
+  }
+  if (!await chrome.permissions.contains({ origins: [instanceOrigin(host)] })) {
+    throw new Error(`No permission to read ${host}`);
+  }
+
+  let software;
+  try {
+    software = await verifyInstance(host);
+  } catch (error) {
+    await chrome.permissions.remove({ origins: [instanceOrigin(host)] });
+    throw error;
+  }
+
+  fediverseInstances[host] = { host, software: software.name, version: software.version, addedAt: Date.now() };
+  await saveInstances();
+  await syncInstanceScripts();
+  await injectInstanceTabs(host);
+  return fediverseInstances[host];
+}
+
+// Stop collecting from an instance. Its permission is given back unless
+// the Mastodon API sync still reads from the same server.
+async function removeInstance(host) {
+  delete fediverseInstances[host];
+  await saveInstances();
+  await syncInstanceScripts();
+  if (!mastodonApiUsesHost(host)) {
+    await chrome.permissions.remove({ origins: [instanceOrigin(host)] });
+  }
+}
+
+// Tabs already open on a new instance don't get registered scripts until
+// they reload, so inject them now
+async function injectInstanceTabs(host) {
+  const tabs = await chrome.tabs.query({ url: instanceOrigin(host) });
+  for (const tab of tabs) {
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: fediverseContentScripts() });
+    } catch (error) {
+      console.log(`Failed to inject into tab ${tab.id}:`, error);
+    }
+  }
+}
+
+// Instances whose permission was taken away (e.g. from the extensions page)
+async function dropRevokedInstances(origins = []) {
+  const revoked = Object.keys(fediverseInstances).filter(host => origins.includes(instanceOrigin(host)));
+  if (!revoked.length) return;
+  revoked.forEach(host => delete fediverseInstances[host]);
+  await saveInstances();
+  await syncInstanceScripts();
+}
+
+// Instances, in the order they were added
+function getInstances() {
+  return Object.values(fediverseInstances).sort((a, b) => a.addedAt - b.addedAt);
+}
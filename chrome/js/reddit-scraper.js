@@ -0,0 +1,187 @@
+// reddit-scraper.js
+(function() {
+  'use strict';
+
+  // New Reddit renders each post as a <shreddit-post> carrying its data as
+  // attributes; old.reddit.com has the same data as data-* attributes on
+  // div.thing. [new, old] attribute names per value:
+  const POST_ATTRIBUTES = {
+    id: ['id', 'data-fullname'],
+    permalink: ['permalink', 'data-permalink'],
+    author: ['author', 'data-author'],
+    community: ['subreddit-prefixed-name', 'data-subreddit-prefixed'],
+    score: ['score', 'data-score'],
+    comments: ['comment-count', 'data-comments-count'],
+    created: ['created-timestamp', 'data-timestamp'],
+    contentHref: ['content-href', 'data-url'],
+    nsfw: ['nsfw', 'data-nsfw'],
+    spoiler: ['spoiler', 'data-spoiler']
+  };
+
+  function isOldReddit(element) {
+    return element.matches('div.thing');
+  }
+
+  function postAttribute(element, name) {
+    return element.getAttribute(POST_ATTRIBUTES[name][isOldReddit(element) ? 1 : 0]);
+  }
+
+  // Flags are bare attributes on new Reddit, "true"/"false" on old Reddit
+  function postFlag(element, name) {
+    const value = postAttribute(element, name);
+    return value !== null && value !== 'false';
+  }
+
+  // ISO time on new Reddit ("2026-01-01T12:00:00.000000+0000"), epoch
+  // milliseconds on old Reddit
+  function parseCreated(value) {
+    if (!value) return null;
+    const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  // Images and videos Reddit hosts; galleries show every image
+  function extractMedia(element) {
+    const media = [];
+    const images = isOldReddit(element)
+      ? element.querySelectorAll('.expando img, a.thumbnail img')
+      : element.querySelectorAll('[slot="post-media-container"] img, gallery-carousel img');
+
+    images.forEach(img => {
+      const src = img.getAttribute('src') || img.getAttribute('data-lazy-src');
+      if (!src || !/redd\.it|redditmedia\.com/.test(src)) return;
+      media.push({
+        type: 'image',
+        url: src.replace('preview.redd.it', 'i.redd.it').split('?')[0],
+        thumbnail: src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        alt: img.alt || null,
+        duration: null
+      });
+    });
+
+    element.querySelectorAll('shreddit-player, shreddit-player-2, .expando video').forEach(player => {
+      const video = player.matches('video') ? player : player.querySelector('video');
+      media.push({
+        type: 'video',
+        // Reddit streams video as HLS, there's no file to link to
+        url: null,
+        thumbnail: player.getAttribute('poster') || video?.poster || null,
+        width: video?.videoWidth || null,
+        height: video?.videoHeight || null,
+        alt: null,
+        duration: mediaDuration(video, player)
+      });
+    });
+
+    // Keep one entry per image (galleries lazy-load duplicates)
+    return media.filter((item, index) => !item.url || media.findIndex(other => other.url === item.url) === index);
+  }
+
+  // Link posts point off-site; self posts and media point back at Reddit
+  function extractLinks(element, body) {
+    const links = new Map(); // URL -> link
+    const contentHref = postAttribute(element, 'contentHref');
+    const domain = contentHref ? linkDomain(contentHref) : null;
+    if (domain && !/(^|\.)(reddit\.com|redd\.it)$/.test(domain)) {
+      const thumbnail = element.querySelector('a.thumbnail img, [slot="thumbnail"] img');
+      links.set(contentHref, {
+        url: contentHref,
+        title: postTitle(element) || null,
+        description: null,
+        domain: domain,
+        thumbnail: thumbnail ? thumbnail.src : null
+      });
+    }
+
+    body?.querySelectorAll('a[href]').forEach(anchor => {
+      if (!/^https?:/.test(anchor.href) || links.has(anchor.href)) return;
+      links.set(anchor.href, {
+        url: anchor.href,
+        title: null,
+        description: null,
+        domain: linkDomain(anchor.href),
+        thumbnail: null
+      });
+    });
+
+    return Array.from(links.values());
+  }
+
+  function postTitle(element) {
+    return isOldReddit(element)
+      ? element.querySelector('a.title')?.textContent.trim() || ''
+      : element.getAttribute('post-title') || element.querySelector('[slot="title"]')?.textContent.trim() || '';
+  }
+
+  registerPlatformAdapter({
+    platform: 'reddit',
+    name: 'Reddit',
+    selectors: {
+      posts: [
+        'shreddit-post',
+        'div.thing.link[data-fullname]'
+      ],
+      added: 'shreddit-post, div.thing, faceplate-batch',
+      root: ['shreddit-feed', 'main', '#siteTable']
+    },
+
+    renderDelay: 1000,
+
+    // "t3_abc123", the same fullname on both layouts
+    id: element => postAttribute(element, 'id'),
+
+    // Promoted posts
+    skip: element => element.matches('.promoted, [data-promoted="true"], [promoted]'),
+
+    context: element => ({
+      // Self post text (only expanded self posts have it on old Reddit)
+      body: isOldReddit(element)
+        ? element.querySelector('.expando .md')
+        : element.querySelector('[slot="text-body"]')
+    }),
+
+    fields: {
+      url: element => {
+        const permalink = postAttribute(element, 'permalink');
+        return permalink ? new URL(permalink, location.origin).href : null;
+      },
+
+      // The subreddit, e.g. "r/rust"
+      community: element => postAttribute(element, 'community'),
+
+      // Reddit's feed shows no author avatars
+      author: element => {
+        const name = postAttribute(element, 'author') || '[deleted]';
+        return { name: name, handle: name, avatar: '' };
+      },
+
+      // Title, then the self text
+      content: (element, { body }) => [postTitle(element), body?.textContent.trim()].filter(Boolean).join('\n\n'),
+
+      timestamp: element => parseCreated(postAttribute(element, 'created')) || Date.now(),
+
+      timestampText: element => {
+        const time = element.querySelector('time, faceplate-timeago');
+        return time ? time.textContent.trim() : '';
+      },
+
+      // Score is the closest thing Reddit has to likes
+      engagement: element => ({
+        replies: countFromText(postAttribute(element, 'comments')),
+        likes: Math.max(parseInt(postAttribute(element, 'score'), 10) || 0, 0)
+      }),
+
+      media: extractMedia,
+
+      links: (element, { body }) => extractLinks(element, body),
+
+      // NSFW and spoiler tags hide the whole post on Reddit
+      sensitivity: element => {
+        const labels = ['nsfw', 'spoiler'].filter(flag => postFlag(element, flag)).map(normalizeSensitivityLabel);
+        return labels.length ? { labels: labels, summary: null, mediaOnly: false } : null;
+      }
+    }
+  });
+})();
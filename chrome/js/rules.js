@@ -0,0 +1,138 @@
+// rules.js
+// Mute and filter rules checked as posts arrive, loaded into the background
+// service worker. Filtered posts stay in the archive with `filteredBy` set.
+'use strict';
+
+const FILTER_RULES_STORAGE_KEY = 'filterRules';
+
+// word:    muted word or phrase (whole words, case and accents ignored)
+// regex:   pattern tested against the post text, case-insensitive
+// author:  handle; on one platform mutes that account, on all platforms
+//          mutes every account of the author's linked identity
+// repost:  reposts made by someone (matched on their display name or handle)
+// replies: every reply
+const FILTER_RULE_TYPES = ['word', 'regex', 'author', 'repost', 'replies'];
+
+// id -> { id, type, value, platform, createdAt, expiresAt }
+let filterRules = {};
+
+// Load filter rules from storage
+async function loadFilterRules() {
+  const result = await chrome.storage.local.get([FILTER_RULES_STORAGE_KEY]);
+  filterRules = result[FILTER_RULES_STORAGE_KEY] || {};
+}
+
+async function saveFilterRules() {
+  await chrome.storage.local.set({ [FILTER_RULES_STORAGE_KEY]: filterRules });
+}
+
+// Validate and store a rule, returns the stored rule
+async function addFilterRule({ type, value = '', platform = 'all', expiresAt = null }) {
+  if (!FILTER_RULE_TYPES.includes(type)) {
+    throw new Error(`Unknown rule type: ${type}`);
+  }
+  value = value.trim();
+  if (type !== 'replies' && !value) {
+    throw new Error('Rule needs a value');
+  }
+  if (type === 'regex') {
+    // Throws on an invalid pattern
+    new RegExp(value, 'i');
+  }
+
+  const id = `rule:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  filterRules[id] = { id, type, value, platform, createdAt: Date.now(), expiresAt };
+  await saveFilterRules();
+  return filterRules[id];
+}
+
+async function removeFilterRule(id) {
+  delete filterRules[id];
+  await saveFilterRules();
+}
+
+// Drop rules past their expiry, returns true if any were removed
+async function removeExpiredFilterRules() {
+  const now = Date.now();
+  const expired = Object.values(filterRules).filter(rule => rule.expiresAt && rule.expiresAt <= now);
+  if (expired.length === 0) return false;
+
+  expired.forEach(rule => delete filterRules[rule.id]);
+  await saveFilterRules();
+  return true;
+}
+
+// Active rules, oldest first
+function getFilterRules() {
+  const now = Date.now();
+  return Object.values(filterRules)
+    .filter(rule => !rule.expiresAt || rule.expiresAt > now)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Text a word or regex rule is tested against
+function filterableText(post) {
+  return [post.content, post.quoted?.content].filter(Boolean).join('\n');
+}
+
+function normalizeHandle(handle) {
+  return (handle || '').toLowerCase().replace(/^@/, '');
+}
+
+// Does a single rule match a post?
+function ruleMatches(rule, post) {
+  if (rule.platform && rule.platform !== 'all' && rule.platform !== post.platform) {
+    return false;
+  }
+
+  switch (rule.type) {
+    case 'word': {
+      const words = tokenize(rule.value).join(' ');
+      return !!words && ` ${tokenize(filterableText(post)).join(' ')} `.includes(` ${words} `);
+    }
+    case 'regex':
+      try {
+        return new RegExp(rule.value, 'i').test(filterableText(post));
+      } catch (error) {
+        return false;
+      }
+    case 'author': {
+      const handle = normalizeHandle(rule.value);
+      const handles = rule.platform === 'all'
+        ? identityHandlesForPost(post)
+        : [normalizeHandle(post.author?.handle)];
+      return handles.some(candidate => candidate === handle || candidate.split('@')[0] === handle);
+    }
+    case 'repost': {
+      if (!post.reposter) return false;
+      const wanted = rule.value.toLowerCase();
+      return post.reposter.toLowerCase() === wanted || normalizeHandle(post.reposter) === normalizeHandle(wanted);
+    }
+    case 'replies':
+      return !!post.inReplyTo;
+  }
+  return false;
+}
+
+// Is a post hidden by a rule that is still active?
+function isPostFiltered(post) {
+  const now = Date.now();
+  return !!post.filteredBy?.some(id => filterRules[id] && (!filterRules[id].expiresAt || filterRules[id].expiresAt > now));
+}
+
+// IDs of the active rules that filter a post
+function matchFilterRules(post) {
+  return getFilterRules().filter(rule => ruleMatches(rule, post)).map(rule => rule.id);
+}
+
+// Set or clear `filteredBy` on a post, returns true if it changed
+function applyFilterRules(post) {
+  const before = JSON.stringify(post.filteredBy || []);
+  const matched = matchFilterRules(post);
+  if (matched.length > 0) {
+    post.filteredBy = matched;
+  } else {
+    delete post.filteredBy;
+  }
+  return JSON.stringify(matched) !== before;
+}
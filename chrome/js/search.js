@@ -0,0 +1,218 @@
+// search.js
+// In-memory full-text index and query language for the post archive,
+// loaded into the background service worker
+'use strict';
+
+// token -> Set of post keys
+let searchIndex = new Map();
+// post key -> tokens indexed for that post (needed to unindex on update)
+let indexedTokens = new Map();
+
+// Operators understood by the query language, e.g. `from:alex -is:repost`
+const SEARCH_OPERATORS = ['from', 'platform', 'has', 'is', 'min_likes', 'min_reposts', 'min_replies', 'before', 'after'];
+
+// Operators that take a count
+const NUMERIC_SEARCH_OPERATORS = ['min_likes', 'min_reposts', 'min_replies'];
+
+// Lowercase, strip accents and split into word tokens
+function tokenize(text) {
+  if (!text) return [];
+
+  return text.toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Text that full-text search covers for a post, including a quoted post so
+// searching for the quoted author finds the posts quoting them
+function searchableText(post) {
+  return [
+    post.content,
+    post.author?.name,
+    post.author?.handle,
+    post.quoted?.content,
+    post.quoted?.author?.name,
+    post.quoted?.author?.handle
+  ].filter(Boolean).join(' ');
+}
+
+// Add (or re-add) a post to the index
+function indexPost(post) {
+  unindexPost(post.key);
+
+  const tokens = Array.from(new Set(tokenize(searchableText(post))));
+  tokens.forEach(token => {
+    if (!searchIndex.has(token)) {
+      searchIndex.set(token, new Set());
+    }
+    searchIndex.get(token).add(post.key);
+  });
+  indexedTokens.set(post.key, tokens);
+}
+
+// Remove a post from the index
+function unindexPost(key) {
+  const tokens = indexedTokens.get(key);
+  if (!tokens) return;
+
+  tokens.forEach(token => {
+    const keys = searchIndex.get(token);
+    keys.delete(key);
+    if (keys.size === 0) {
+      searchIndex.delete(token);
+    }
+  });
+  indexedTokens.delete(key);
+}
+
+// Rebuild the whole index from a list of posts
+function rebuildSearchIndex(posts) {
+  searchIndex = new Map();
+  indexedTokens = new Map();
+  posts.forEach(indexPost);
+}
+
+// Keys of posts containing a token that starts with `prefix`
+function keysForPrefix(prefix) {
+  const keys = new Set();
+  for (const [token, tokenKeys] of searchIndex) {
+    if (token.startsWith(prefix)) {
+      tokenKeys.forEach(key => keys.add(key));
+    }
+  }
+  return keys;
+}
+
+// Split a query into text terms and operators.
+// Supports "quoted phrases", operator:value and a leading "-" for negation.
+function parseSearchQuery(query) {
+  const terms = [];
+  const operators = [];
+  const pattern = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negate = match[1] === '-';
+    const name = match[2]?.toLowerCase();
+    const value = match[3] !== undefined ? match[3] : match[4];
+
+    const numeric = NUMERIC_SEARCH_OPERATORS.includes(name);
+    if (name && SEARCH_OPERATORS.includes(name) && (!numeric || /^\d+$/.test(value))) {
+      operators.push({ name, value: value.toLowerCase(), negate });
+    } else {
+      // Unknown operators (and counts that aren't numbers) are searched as
+      // plain text
+      const text = name ? `${match[2]}:${value}` : value;
+      if (text.trim()) {
+        terms.push({ text, phrase: match[3] !== undefined, negate });
+      }
+    }
+  }
+
+  return { terms, operators };
+}
+
+// Parse a before:/after: date (YYYY-MM-DD or anything Date understands)
+function parseSearchDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+// Does a post satisfy a single operator?
+function matchesOperator(post, { name, value }) {
+  const engagement = post.engagement || {};
+
+  switch (name) {
+    case 'from': {
+      // Any handle of the author's linked identity counts
+      const wanted = value.replace(/^@/, '');
+      return identityHandlesForPost(post).some(handle => handle === wanted || handle.split('@')[0] === wanted);
+    }
+    case 'platform':
+      return post.platform === value;
+    case 'has':
+      if (value === 'media') {
+        return (post.media?.length || 0) > 0;
+      }
+      if (['image', 'video', 'gif', 'audio'].includes(value)) {
+        return !!post.media?.some(item => item.type === value);
+      }
+      if (value === 'alt') {
+        // Every attachment described; `-has:alt` finds the ones missing some
+        return (post.media?.length || 0) > 0 && post.media.every(item => item.alt);
+      }
+      if (value === 'link') {
+        return (post.links?.length || 0) > 0 ||
+               /https?:\/\/|\b[\w-]+\.[a-z]{2,}\/\S/i.test(post.content || '');
+      }
+      return false;
+    case 'is':
+      if (value === 'repost') return !!post.reposter;
+      if (value === 'original') return !post.reposter;
+      if (value === 'reply') return !!post.inReplyTo;
+      if (value === 'quote') return !!post.quoted;
+      if (value === 'sensitive') return !!post.sensitivity;
+      return false;
+    case 'min_likes':
+      return (engagement.likes || engagement.favorites || 0) >= parseInt(value, 10);
+    case 'min_reposts':
+      return (engagement.retweets || engagement.reposts || engagement.boosts || 0) >= parseInt(value, 10);
+    case 'min_replies':
+      return (engagement.replies || 0) >= parseInt(value, 10);
+    case 'before': {
+      const time = parseSearchDate(value);
+      return time === null || post.timestamp < time;
+    }
+    case 'after': {
+      const time = parseSearchDate(value);
+      return time === null || post.timestamp >= time;
+    }
+  }
+  return true;
+}
+
+// Compile a query into a candidate key set (from the index) and a predicate.
+// `candidates` is null when the query has no positive text terms.
+function compileSearch(query) {
+  const { terms, operators } = parseSearchQuery(query);
+  let candidates = null;
+  const checks = [];
+
+  terms.forEach(term => {
+    const tokens = tokenize(term.text);
+    if (tokens.length === 0) return;
+
+    if (!term.negate) {
+      // Every token must appear somewhere in the post
+      tokens.forEach(token => {
+        const keys = keysForPrefix(token);
+        candidates = candidates
+          ? new Set(Array.from(candidates).filter(key => keys.has(key)))
+          : keys;
+      });
+    }
+
+    if (term.phrase && tokens.length > 1) {
+      // Phrases also need the words in order
+      const phrase = tokens.join(' ');
+      checks.push(post => tokenize(searchableText(post)).join(' ').includes(phrase) !== term.negate);
+    } else if (term.negate) {
+      checks.push(post => {
+        const postTokens = indexedTokens.get(post.key) || tokenize(searchableText(post));
+        return !tokens.every(token => postTokens.some(t => t.startsWith(token)));
+      });
+    }
+  });
+
+  operators.forEach(operator => {
+    checks.push(post => matchesOperator(post, operator) !== operator.negate);
+  });
+
+  return {
+    candidates,
+    matches: post => checks.every(check => check(post))
+  };
+}
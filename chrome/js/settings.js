@@ -0,0 +1,152 @@
+// settings.js
+// Typed, versioned settings store shared by the background service worker,
+// the feed and the options page. Everything lives under `settings` in
+// chrome.storage.local; reads always come back complete and valid.
+'use strict';
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Bump when the stored shape changes and add a step to migrateSettings
+const SETTINGS_VERSION = 2;
+
+const SETTINGS_PLATFORMS = ['twitter', 'bluesky', 'mastodon', 'threads', 'reddit'];
+
+// Sensitivity labels with a preference (others are blurred)
+const SENSITIVITY_LABELS = {
+  'content-warning': 'Content warnings',
+  'sensitive': 'Sensitive media',
+  'nudity': 'Nudity',
+  'sexual': 'Sexually suggestive',
+  'porn': 'Adult content',
+  'graphic-media': 'Graphic media'
+};
+
+// Every setting with its type, allowed values and default
+const SETTINGS_SCHEMA = {
+  sortBy: {
+    type: 'enum',
+    values: ['chronological', 'chronological-old', 'engagement', 'trending', 'platform'],
+    default: 'chronological'
+  },
+  // Seconds between feed refreshes, 0 turns auto-refresh off
+  refreshInterval: { type: 'number', min: 0, max: 3600, default: 10 },
+  retention: {
+    type: 'object',
+    shape: {
+      // Days to keep archived posts, 0 keeps them forever
+      maxAgeDays: { type: 'number', min: 0, max: 3650, default: 90 },
+      // Maximum archive size in posts, 0 is unlimited
+      maxPosts: { type: 'number', min: 0, max: 10000000, default: 100000 }
+    }
+  },
+  // Hours to keep posts once their source tab is gone, 0 = never expire
+  closedTabExpiry: {
+    type: 'object',
+    shape: Object.fromEntries(SETTINGS_PLATFORMS.map(platform =>
+      [platform, { type: 'number', min: 0, max: 8760, default: 0 }]
+    ))
+  },
+  enabledPlatforms: {
+    type: 'object',
+    shape: Object.fromEntries(SETTINGS_PLATFORMS.map(platform =>
+      [platform, { type: 'boolean', default: true }]
+    ))
+  },
+  // Engagement sort: metric weights and half-life in hours (0 = no decay)
+  ranking: {
+    type: 'object',
+    shape: {
+      replies: { type: 'number', min: 0, max: 10, step: 0.5, default: 2 },
+      reposts: { type: 'number', min: 0, max: 10, step: 0.5, default: 2 },
+      likes: { type: 'number', min: 0, max: 10, step: 0.5, default: 1 },
+      halfLifeHours: { type: 'number', min: 0, max: 720, default: 24 }
+    }
+  },
+  density: { type: 'enum', values: ['comfortable', 'compact'], default: 'comfortable' },
+  showNotifications: { type: 'boolean', default: true },
+  // No notifications between start and end ('HH:MM', may wrap past midnight)
+  quietHours: {
+    type: 'object',
+    shape: {
+      enabled: { type: 'boolean', default: false },
+      start: { type: 'time', default: '22:00' },
+      end: { type: 'time', default: '07:00' }
+    }
+  },
+  // Sensitivity label -> 'show' | 'blur' | 'hide'
+  sensitivity: { type: 'map', values: ['show', 'blur', 'hide'], default: {} }
+};
+
+// Coerce one value to its schema, falling back to the default
+function normalizeSetting(schema, value) {
+  switch (schema.type) {
+    case 'enum':
+      return schema.values.includes(value) ? value : schema.default;
+    case 'number': {
+      const number = Number(value);
+      if (value === null || value === '' || isNaN(number)) return schema.default;
+      // Whole numbers unless the schema has a finer step
+      const step = schema.step || 1;
+      return Math.min(schema.max, Math.max(schema.min, Math.round(number / step) * step));
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : schema.default;
+    case 'time':
+      return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : schema.default;
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.shape).map(([key, field]) =>
+        [key, normalizeSetting(field, value?.[key])]
+      ));
+    case 'map':
+      return Object.fromEntries(Object.entries(value && typeof value === 'object' ? value : schema.default)
+        .filter(([, entry]) => schema.values.includes(entry)));
+  }
+  return schema.default;
+}
+
+// A complete, valid settings object (unknown keys are dropped)
+function normalizeSettings(raw = {}) {
+  const settings = { version: SETTINGS_VERSION };
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, schema]) => {
+    settings[key] = normalizeSetting(schema, raw[key]);
+  });
+  return settings;
+}
+
+// Bring settings written by older versions up to date
+function migrateSettings(raw = {}) {
+  const settings = { ...raw };
+
+  if (!settings.version) {
+    // v1 (unversioned): `autoRefresh` switched the fixed 10 second refresh
+    if (settings.autoRefresh === false) {
+      settings.refreshInterval = 0;
+    }
+    delete settings.autoRefresh;
+    settings.version = 2;
+  }
+
+  return settings;
+}
+
+// Read settings, migrated and filled in with defaults
+async function loadSettings() {
+  const result = await chrome.storage.local.get([SETTINGS_STORAGE_KEY]);
+  return normalizeSettings(migrateSettings(result[SETTINGS_STORAGE_KEY]));
+}
+
+// Merge changes into the stored settings, returns the saved settings
+async function saveSettings(changes) {
+  const settings = normalizeSettings({ ...await loadSettings(), ...changes });
+  await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  return settings;
+}
+
+// Call `callback` with the new settings whenever they change
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+      callback(normalizeSettings(migrateSettings(changes[SETTINGS_STORAGE_KEY].newValue)));
+    }
+  });
+}
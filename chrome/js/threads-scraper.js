@@ -0,0 +1,179 @@
+// threads-scraper.js
+(function() {
+  'use strict';
+
+  // Threads post URLs: threads.net/@{username}/post/{code}
+  const POST_PATH = /\/@([^\/]+)\/post\/([^\/\?]+)/;
+
+  // "username reposted" above the post
+  const REPOSTED_LABEL = /^(\S+)\s+reposted$/i;
+
+  // The post's own permalink wraps its <time>; a quoted post's comes later
+  function getPermalink(container) {
+    return container.querySelector('a[href*="/post/"] time')?.closest('a') ||
+           container.querySelector('a[href*="/post/"]');
+  }
+
+  // Get the post's shortcode from its permalink
+  function getPostId(container) {
+    return getPermalink(container)?.href.match(POST_PATH)?.[2] || null;
+  }
+
+  // Outbound links are wrapped in l.threads.net/?u=<url> redirects
+  function unwrapLink(href) {
+    try {
+      const url = new URL(href);
+      if (/^l\.threads\.(net|com)$/.test(url.hostname) && url.searchParams.get('u')) {
+        return url.searchParams.get('u');
+      }
+    } catch (error) {
+      // Leave unparseable links as they are
+    }
+    return href;
+  }
+
+  // Off-site links: anything that doesn't point back into Threads (after
+  // unwrapping the redirect)
+  function extractLinks(container, include) {
+    const links = new Map(); // URL -> link
+    container.querySelectorAll('a[href]').forEach(anchor => {
+      const url = unwrapLink(anchor.href);
+      const domain = linkDomain(url);
+      if (!include(anchor) || !/^https?:/.test(url) || !domain || /(^|\.)threads\.(net|com)$/.test(domain)) return;
+      links.set(url, {
+        url: url,
+        title: null,
+        description: null,
+        domain: domain,
+        thumbnail: null
+      });
+    });
+    return Array.from(links.values());
+  }
+
+  // Photos and videos (Instagram's CDN), skipping profile pictures
+  function extractMedia(container, include) {
+    const media = [];
+
+    container.querySelectorAll('img').forEach(img => {
+      if (!include(img) || !/cdninstagram|fbcdn/.test(img.src) ||
+          /profile picture/i.test(img.alt || '') || img.closest('a[href^="/@"]:not([href*="/post/"])')) return;
+      media.push({
+        type: 'image',
+        url: img.src,
+        thumbnail: img.src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        alt: img.alt || null,
+        duration: null
+      });
+    });
+
+    container.querySelectorAll('video').forEach(video => {
+      if (!include(video)) return;
+      media.push({
+        type: 'video',
+        // Videos stream through blob: URLs, which are useless outside the tab
+        url: video.src && !video.src.startsWith('blob:') ? video.src : null,
+        thumbnail: video.poster || null,
+        width: video.videoWidth || null,
+        height: video.videoHeight || null,
+        alt: video.getAttribute('aria-label') || null,
+        duration: mediaDuration(video, video.parentElement)
+      });
+    });
+
+    return media;
+  }
+
+  // Count next to an action icon, e.g. the "12" beside the heart
+  function actionCount(container, label) {
+    const icon = container.querySelector(`svg[aria-label="${label}"]`);
+    const button = icon?.closest('[role="button"], button');
+    return button ? countFromText(button.textContent) : 0;
+  }
+
+  registerPlatformAdapter({
+    platform: 'threads',
+    name: 'Threads',
+    selectors: {
+      // Every post (and every quoted post inside one) is a pressable container
+      posts: [
+        'div[data-pressable-container="true"]',
+        'div[data-interactive-id]'
+      ],
+      added: 'div[data-pressable-container], a[href*="/post/"]',
+      root: ['[role="main"]', 'main']
+    },
+
+    // Wait a bit for Threads' React app to render
+    renderDelay: 1500,
+
+    id: getPostId,
+
+    // Quoted posts are containers inside the post; they're sent with it
+    skip: container => !!container.parentElement?.closest('div[data-pressable-container="true"]'),
+
+    context: container => {
+      const permalink = getPermalink(container);
+      const quoteElement = Array.from(container.querySelectorAll('div[data-pressable-container="true"]'))
+        .find(inner => !inner.contains(permalink));
+      const outsideQuote = el => !quoteElement || !quoteElement.contains(el);
+
+      // The body text: auto-direction spans outside links, buttons and the quote
+      const textElements = Array.from(container.querySelectorAll('span[dir="auto"]'))
+        .filter(el => outsideQuote(el) && !el.closest('a, [role="button"], button') &&
+                      !el.parentElement.closest('span[dir="auto"]'));
+
+      return {
+        permalink,
+        username: permalink.href.match(POST_PATH)?.[1] || '',
+        timeElement: permalink.querySelector('time'),
+        outsideQuote,
+        textElements
+      };
+    },
+
+    fields: {
+      url: (container, { permalink }) => permalink.href,
+
+      // Threads only shows the username in the feed
+      author: (container, { username }) => {
+        const avatarImg = container.querySelector('img[alt*="profile picture"]');
+        return {
+          name: username,
+          handle: username,
+          avatar: avatarImg ? avatarImg.src : ''
+        };
+      },
+
+      content: (container, { textElements }) => textElements
+        .map(el => el.textContent.trim())
+        .filter(text => text && !REPOSTED_LABEL.test(text))
+        .join('\n'),
+
+      // <time datetime> (most reliable), else its relative text ("3h")
+      timestamp: (container, { timeElement }) =>
+        parseTimeElement(timeElement) || parseRelativeTime(timeElement?.textContent || ''),
+
+      timestampText: (container, { timeElement }) => timeElement ? timeElement.textContent.trim() : '',
+
+      engagement: container => ({
+        replies: actionCount(container, 'Reply'),
+        reposts: actionCount(container, 'Repost'),
+        likes: actionCount(container, 'Like')
+      }),
+
+      media: (container, { outsideQuote }) => extractMedia(container, outsideQuote),
+
+      links: (container, { outsideQuote }) => extractLinks(container, outsideQuote),
+
+      reposter: container => {
+        const label = Array.from(container.querySelectorAll('span'))
+          .map(el => el.textContent.trim())
+          .find(text => REPOSTED_LABEL.test(text));
+        return label ? label.match(REPOSTED_LABEL)[1] : null;
+      }
+    }
+  });
+})();
@@ -0,0 +1,62 @@
+// threads.js
+// Rebuilds reply threads from the in-reply-to and thread-root references the
+// scrapers capture, loaded into the background service worker.
+//
+// Every post in a thread carries `threadRootKey` (the root's archive key, even
+// if the root was never captured) and `threadKey` (the post whose card shows
+// the thread: the root when captured, otherwise the earliest member).
+'use strict';
+
+// Archive key of a post on the same platform as `post`
+function siblingKey(post, id) {
+  return postKey({ platform: post.platform, id });
+}
+
+// Work out which thread a post belongs to. Updates `post` in place and
+// returns other archived posts whose thread placement changed.
+async function placeInThread(post) {
+  let rootKey = null;
+  if (post.threadRootId) {
+    rootKey = siblingKey(post, post.threadRootId);
+  } else if (post.inReplyTo?.id) {
+    const parentKey = siblingKey(post, post.inReplyTo.id);
+    const parent = await archiveGet(parentKey);
+    rootKey = parent?.threadRootKey || parentKey;
+  }
+
+  if (rootKey === post.key) {
+    rootKey = null;
+  }
+
+  if (rootKey) {
+    post.threadRootKey = rootKey;
+
+    // The captured root leads; otherwise whichever member already does
+    const root = await archiveGet(rootKey);
+    const leader = root || (await archiveGetByIndex('threadRootKey', rootKey))
+      .find(member => member.key !== post.key && (!member.threadKey || member.threadKey === member.key));
+    if (leader) {
+      post.threadKey = leader.key;
+    } else {
+      delete post.threadKey;
+    }
+  }
+
+  // Posts that took this post for their root
+  const dependents = (await archiveGetByIndex('threadRootKey', post.key))
+    .filter(dependent => dependent.key !== post.key);
+  dependents.forEach(dependent => {
+    dependent.threadRootKey = rootKey || post.key;
+    dependent.threadKey = post.threadKey || post.key;
+  });
+
+  return dependents;
+}
+
+// Other posts in the thread a post leads, oldest first
+async function getThreadMembers(post) {
+  const members = await archiveGetByIndex('threadKey', post.key);
+  return members
+    .filter(member => member.key !== post.key)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
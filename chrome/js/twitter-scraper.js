@@ -1,303 +1,273 @@
 // twitter-scraper.js
+// X/Twitter adapter for the content script runtime (adapter-runtime.js)
 (function() {
   'use strict';
 
-  // Track processed tweets to avoid duplicates
-  const processedTweets = new Set();
-  
-  // Debounce function to limit message sending frequency
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func(...args), wait);
-    };
+  // Get the tweet ID from an article's permalink
+  function getTweetId(article) {
+    return article.querySelector('a[href*="/status/"]')?.href.match(/\/status\/(\d+)/)?.[1] || null;
   }
 
-// Extract count from aria-label (e.g., "1 Reply. Reply" -> 1)
-function extractCountFromAriaLabel(ariaLabel) {
-  if (!ariaLabel) return 0;
-  
-  const match = ariaLabel.match(/^(\d+[\d,]*)/);
-  if (match) {
-    // Remove commas and parse (e.g., "1,234" -> 1234)
-    return parseInt(match[1].replace(/,/g, ''), 10);
-  }
-  
-  return 0;
-}
-
-
-// Parse relative time strings like "2h", "5m", "3d" into timestamps
-function parseRelativeTime(timeString) {
-  if (!timeString) return Date.now();
-  
-  const now = Date.now();
-  const lowerTime = timeString.toLowerCase().trim();
-  
-  // Match patterns like "2h", "5m ago", "3 days"
-  const match = lowerTime.match(/(\d+)\s*(s|sec|second|m|min|minute|h|hour|d|day|w|week|mo|month|y|year)/);
-  
-  if (!match) return now;
-  
-  const value = parseInt(match[1]);
-  const unit = match[2];
-  
-  let milliseconds = 0;
-  
-  switch (unit[0]) {
-    case 's': // seconds
-      milliseconds = value * 1000;
-      break;
-    case 'm': // minutes
-      if (unit === 'mo' || unit === 'month') {
-        milliseconds = value * 30 * 24 * 60 * 60 * 1000; // approximate
-      } else {
-        milliseconds = value * 60 * 1000;
+  // On a conversation page (/status/<id>) every tweet above the focal tweet
+  // replies to the one before it, and the first one is the thread root
+  function getConversationContext(tweets) {
+    const context = new Map();
+    const focalId = location.pathname.match(/\/status\/(\d+)/)?.[1];
+    if (!focalId) return context;
+
+    const ids = tweets.map(getTweetId);
+    const focalIndex = ids.indexOf(focalId);
+    for (let i = 1; i <= focalIndex; i++) {
+      if (ids[i] && ids[i - 1]) {
+        context.set(tweets[i], { parentId: ids[i - 1], rootId: ids[0] });
       }
-      break;
-    case 'h': // hours
-      milliseconds = value * 60 * 60 * 1000;
-      break;
-    case 'd': // days
-      milliseconds = value * 24 * 60 * 60 * 1000;
-      break;
-    case 'w': // weeks
-      milliseconds = value * 7 * 24 * 60 * 60 * 1000;
-      break;
-    case 'y': // years
-      milliseconds = value * 365 * 24 * 60 * 60 * 1000;
-      break;
+    }
+    return context;
   }
-  
-  return now - milliseconds;
-}
-
-
-  // Extract tweet data from article element
-  function extractTweetData(article) {
-    try {
-      // Find the tweet link to get the unique ID and URL
-      const tweetLink = article.querySelector('a[href*="/status/"]');
-      if (!tweetLink) return null;
-      
-      const tweetUrl = tweetLink.href;
-      const tweetId = tweetUrl.match(/\/status\/(\d+)/)?.[1];
-
-      const timeElement = article.querySelector('time');
-      
-      if (!tweetId || processedTweets.has(tweetId)) {
-        return null;
-      }
 
-      // Check if this is a promoted/ad tweet
-      const allSpans = article.querySelectorAll('span');
-      for (const span of allSpans) {
-        if (span.textContent.trim() === 'Ad') {
-          return null; // Skip ads
-        }
-    }
+  // Links shared in a tweet. Tweet text links point at t.co, but their text
+  // is the expanded URL; the card wrapper adds title, description and image.
+  function extractLinks(article, tweetTextDiv, outsideQuote) {
+    const links = new Map(); // t.co URL -> link
 
-// Check if this is a retweet
-    let retweeter = null;
-    const retweetIndicator = article.querySelector('span[data-testid="socialContext"]');
-    if (retweetIndicator) {
-      const retweetText = retweetIndicator.textContent;
-      // Extract name from "Username retweeted" or "Username Retweeted"
-      const match = retweetText.match(/^(.+?)\s+[Rr]eposted/);
-      if (match) {
-        retweeter = match[1].trim();
-      }
+    tweetTextDiv?.querySelectorAll('a[href*="//t.co/"]').forEach(anchor => {
+      const expanded = anchor.textContent.replace(/…$/, '').trim();
+      const url = /^https?:\/\//.test(expanded) ? expanded : `https://${expanded}`;
+      links.set(anchor.href, {
+        url: url,
+        title: null,
+        description: null,
+        domain: linkDomain(url),
+        thumbnail: null
+      });
+    });
+
+    const card = Array.from(article.querySelectorAll('div[data-testid="card.wrapper"]')).find(outsideQuote);
+    const cardLink = card?.querySelector('a[href]');
+    if (cardLink) {
+      // Detail block reads: domain, title, description
+      const detail = card.querySelector('[data-testid$=".detail"]');
+      const parts = detail ? Array.from(detail.children).map(child => child.textContent.trim()) : [];
+      const thumbnail = card.querySelector('[data-testid$=".media"] img');
+
+      const link = links.get(cardLink.href) || {
+        url: cardLink.href,
+        domain: parts[0] || linkDomain(cardLink.href)
+      };
+      links.set(cardLink.href, {
+        ...link,
+        title: parts[1] || cardLink.getAttribute('aria-label') || null,
+        description: parts[2] || null,
+        thumbnail: thumbnail ? thumbnail.src : null
+      });
     }
 
-      // Extract author information
-      const userNamesDiv = article.querySelector('div[data-testid="User-Name"]');
-      let authorName = '';
-      let authorHandle = '';
-      let authorAvatar = '';
-      let timestamp = null;
-      let timestampText = '';
-      
-      if (timeElement) {
-        // Get ISO datetime if available (most reliable)
-        const datetime = timeElement.getAttribute('datetime');
-        if (datetime) {
-          timestamp = new Date(datetime).getTime();
-        }
-        timestampText = timeElement.textContent || '';
-      }
+    return Array.from(links.values());
+  }
 
+  // Photos, videos and GIFs in a tweet (or quoted tweet) as typed media entries
+  function extractMedia(root, include = () => true) {
+    const media = [];
 
-if (userNamesDiv) {
-  const text = userNamesDiv.textContent;
-  // Split by both newlines and '·' delimiter
-  const parts = text.split(/[\n·]/).map(s => s.trim()).filter(s => s.length > 0);
-  
-  authorName = parts[0] || '';
-  authorHandle = parts[1] || '';
-  timestamp = parts[3] || parts[2] || '';
-}
-      if (userNamesDiv) {
-        const userText = userNamesDiv.textContent.split(/[\n·@]/).map(s => s.trim()).filter(s => s.length > 0);
-        authorName = userText[0] || '';
-        authorHandle = userText[1] || '';
-
-        // Fallback: parse relative time from user info
-        if (!timestamp && userNamesDiv) {
-          timestampText = userText[3] || userText[2] || '';
-          timestamp = parseRelativeTime(timestampText);
-        }
+    root.querySelectorAll('div[data-testid="tweetPhoto"] img').forEach(img => {
+      if (!img.src || img.src.includes('profile_images') || !include(img)) return;
+      if (img.closest('div[data-testid="videoPlayer"]')) return;
+      media.push({
+        type: 'image',
+        // name=small/medium/large picks a size; orig is the upload
+        url: img.src.replace(/([?&]name=)\w+/, '$1orig'),
+        thumbnail: img.src,
+        width: img.naturalWidth || null,
+        height: img.naturalHeight || null,
+        // "Image" is X's placeholder when there is no description
+        alt: img.alt && img.alt !== 'Image' ? img.alt : null,
+        duration: null
+      });
+    });
 
-      }
+    root.querySelectorAll('div[data-testid="videoPlayer"]').forEach(player => {
+      if (!include(player)) return;
+      const video = player.querySelector('video');
+      const poster = video?.poster || player.querySelector('img')?.src || null;
+      // GIFs are looping videos with tweet_video thumbnails and a "GIF" badge
+      const isGif = /tweet_video_thumb/.test(poster || '') ||
+                    Array.from(player.querySelectorAll('span')).some(span => span.textContent.trim() === 'GIF');
+      const label = video?.getAttribute('aria-label');
+      media.push({
+        type: isGif ? 'gif' : 'video',
+        // Videos stream through blob: URLs, which are useless outside the tab
+        url: video?.src && !video.src.startsWith('blob:') ? video.src : null,
+        thumbnail: poster,
+        width: video?.videoWidth || null,
+        height: video?.videoHeight || null,
+        alt: label && label !== 'Embedded video' ? label : null,
+        duration: isGif ? null : mediaDuration(video, player)
+      });
+    });
+
+    return media;
+  }
 
-      // Extract author avatar
-      const avatarImg = article.querySelector('div[data-testid="Tweet-User-Avatar"] img') ||
-                        article.querySelector('a[href*="profile_images"] img') ||
-                        article.querySelector('img[alt][src*="profile"]');
-      if (avatarImg) {
-        authorAvatar = avatarImg.src;
+  // X hides sensitive media behind an interstitial reading either "Content
+  // warning: Nudity, Violence" or "...potentially sensitive content"
+  function extractSensitivity(article, include) {
+    const labels = new Set();
+    article.querySelectorAll('span').forEach(span => {
+      if (span.children.length > 0 || !include(span)) return;
+      const text = span.textContent.trim();
+      const warning = text.match(/^Content warning:\s*(.+)$/i);
+      if (warning) {
+        warning[1].split(/,|\band\b/).map(s => s.trim()).filter(Boolean)
+          .forEach(label => labels.add(normalizeSensitivityLabel(label)));
+      } else if (/potentially sensitive content/i.test(text)) {
+        labels.add('sensitive');
       }
+    });
 
-      // Extract tweet text
-      const tweetTextDiv = article.querySelector('div[data-testid="tweetText"]');
-      const tweetText = tweetTextDiv ? tweetTextDiv.textContent : '';
-
-      // Extract engagement metrics
-      const replyButton = article.querySelector('button[data-testid="reply"]');
-      const replyCount = replyButton ? extractCountFromAriaLabel(replyButton.getAttribute('aria-label')) : 0;
-      
-      const retweetButton = article.querySelector('button[data-testid="retweet"]');
-      const retweetCount = retweetButton ? extractCountFromAriaLabel(retweetButton.getAttribute('aria-label')) : 0;
-      
-      const likeButton = article.querySelector('button[data-testid="like"]');
-      const likeCount = likeButton ? extractCountFromAriaLabel(likeButton.getAttribute('aria-label')) : 0;
-
-      // Extract images if present
-      const images = [];
-      const imgElements = article.querySelectorAll('div[data-testid="tweetPhoto"] img');
-      imgElements.forEach(img => {
-        if (img.src && !img.src.includes('profile_images')) {
-          images.push(img.src);
-        }
-      });
+    if (labels.size === 0) return null;
+    return {
+      labels: Array.from(labels),
+      summary: null,
+      mediaOnly: true
+    };
+  }
 
-      // Mark as processed
-      processedTweets.add(tweetId);
+  // Extract a quoted tweet from the nested card X renders inside the article
+  function extractQuotedTweet(quoteCard) {
+    const userText = userNameParts(quoteCard.querySelector('div[data-testid="User-Name"]'));
+    const avatarImg = quoteCard.querySelector('div[data-testid="Tweet-User-Avatar"] img') ||
+                      quoteCard.querySelector('img[src*="profile_images"]');
+    const tweetTextDiv = quoteCard.querySelector('div[data-testid="tweetText"]');
+    const quoteLink = quoteCard.querySelector('a[href*="/status/"]');
 
-      return {
-            id: tweetId,
-            platform: 'twitter',
-            url: tweetUrl,
-            author: {
-              name: authorName,
-              handle: authorHandle,
-              avatar: authorAvatar
-            },
-            content: tweetText,
-            timestamp: timestamp,
-            timestampText: timestampText,
-            scrapedAt: Date.now(),
-            engagement: {
-              replies: replyCount,
-              retweets: retweetCount,
-              likes: likeCount
-            },
-            images: images,
-            reposter: retweeter
-          };
-    } catch (error) {
-      console.error('Error extracting tweet data:', error);
-      return null;
-    }
+    return {
+      author: {
+        name: userText[0] || '',
+        handle: userText[1] || '',
+        avatar: avatarImg ? avatarImg.src : ''
+      },
+      content: tweetTextDiv ? tweetTextDiv.textContent : '',
+      url: quoteLink ? quoteLink.href : null,
+      media: extractMedia(quoteCard),
+      timestamp: parseTimeElement(quoteCard.querySelector('time'))
+    };
   }
 
-  // Send tweet data to background script
-  function sendTweetData(tweetData) {
-    if (!tweetData) return;
-    
-    chrome.runtime.sendMessage({
-      type: 'NEW_POST',
-      data: tweetData,
-      tabId: chrome.runtime.id
-    }).catch(err => {
-      console.error('Failed to send tweet data:', err);
-    });
+  // Name and handle from the User-Name block ("Name", "@handle", "·", "2h")
+  function userNameParts(userNamesDiv) {
+    return userNamesDiv
+      ? userNamesDiv.textContent.split(/[\n·@]/).map(s => s.trim()).filter(s => s.length > 0)
+      : [];
   }
 
-  // Scan for tweets in the current viewport
-  function scanForTweets() {
-    // Multiple selectors for reliability across X's UI changes
-    const tweetSelectors = [
-      'article[data-testid="tweet"]',
-      'div[data-testid="tweet"]',
-      'article[role="article"]'
-    ];
-
-    let tweets = [];
-    for (const selector of tweetSelectors) {
-      const elements = document.querySelectorAll(selector);
-      if (elements.length > 0) {
-        tweets = Array.from(elements);
-        break;
+  // Reply context ("Replying to @handle")
+  function extractReplyToHandle(article) {
+    for (const link of article.querySelectorAll('a[href^="/"]')) {
+      const linkText = link.textContent.trim();
+      if (linkText.startsWith('@') &&
+          link.parentElement?.closest('div')?.textContent.trim().startsWith('Replying to')) {
+        return linkText.slice(1);
       }
     }
+    return null;
+  }
 
-    tweets.forEach(tweet => {
-      const tweetData = extractTweetData(tweet);
-      if (tweetData) {
-        sendTweetData(tweetData);
-      }
-    });
+  // Engagement count from an action button's aria-label
+  function buttonCount(article, testId) {
+    // e.g. "1,234 Likes. Like"
+    return countFromText(article.querySelector(`button[data-testid="${testId}"]`)?.getAttribute('aria-label'));
   }
 
-  // Debounced scan function
-  const debouncedScan = debounce(scanForTweets, 500);
+  registerPlatformAdapter({
+    platform: 'twitter',
+    name: 'X/Twitter',
+    selectors: {
+      // Multiple selectors for reliability across X's UI changes
+      posts: [
+        'article[data-testid="tweet"]',
+        'div[data-testid="tweet"]',
+        'article[role="article"]'
+      ],
+      added: 'article, [data-testid="tweet"], [data-testid="cellInnerDiv"]',
+      root: ['main']
+    },
 
-  // Initial scan when script loads
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', scanForTweets);
-  } else {
-    scanForTweets();
-  }
+    id: getTweetId,
 
-  // Monitor DOM changes for new tweets (infinite scroll, real-time updates)
-  const observer = new MutationObserver((mutations) => {
-    // Check if any mutations added post-like elements
-    const hasNewPosts = mutations.some(mutation => {
-      return Array.from(mutation.addedNodes).some(node => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          return node.matches('article') || 
-                 node.querySelector('a[href*="/post/"]') ||
-                 node.getAttribute?.('data-testid')?.startsWith('feedItem') ||
-                 node.getAttribute?.('data-testid')?.includes('postThread') ||
-                 node.querySelector('[data-testid^="feedItem"]');
-        }
-        return false;
-      });
-    });
-  
-    if (hasNewPosts) {
-      debouncedScan();
-    }
-  });
+    // Promoted tweets carry an "Ad" label
+    skip: article => Array.from(article.querySelectorAll('span')).some(span => span.textContent.trim() === 'Ad'),
 
-  // Start observing the main timeline
-  const targetNode = document.querySelector('main') || document.body;
-  observer.observe(targetNode, {
-    childList: true,
-    subtree: true
-  });
+    conversation: getConversationContext,
 
-  // Listen for visibility changes (tab switching)
-  document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-      // Tab became visible, rescan for new tweets
-      setTimeout(scanForTweets, 1000);
-    }
-  });
+    context: article => {
+      // Quote tweets nest a second tweet (with its own User-Name, text and
+      // photos) in a role="link" card; the tweet's own fields are outside it
+      const quoteCard = Array.from(article.querySelectorAll('div[role="link"]'))
+        .find(card => card.querySelector('div[data-testid="User-Name"]'));
+      const outsideQuote = el => !quoteCard || !quoteCard.contains(el);
+      const userNamesDiv = Array.from(article.querySelectorAll('div[data-testid="User-Name"]')).find(outsideQuote);
+
+      return {
+        quoteCard,
+        outsideQuote,
+        userText: userNameParts(userNamesDiv),
+        timeElement: Array.from(article.querySelectorAll('time')).find(outsideQuote),
+        tweetTextDiv: Array.from(article.querySelectorAll('div[data-testid="tweetText"]')).find(outsideQuote)
+      };
+    },
 
-  // Periodic rescan every 30 seconds to catch any missed tweets
-  setInterval(scanForTweets, 30000);
+    fields: {
+      url: article => article.querySelector('a[href*="/status/"]')?.href || null,
 
-  console.log('X/Twitter scraper content script initialized');
+      author: (article, { userText }) => {
+        const avatarImg = article.querySelector('div[data-testid="Tweet-User-Avatar"] img') ||
+                          article.querySelector('a[href*="profile_images"] img') ||
+                          article.querySelector('img[alt][src*="profile"]');
+        return {
+          name: userText[0] || '',
+          handle: userText[1] || '',
+          avatar: avatarImg ? avatarImg.src : ''
+        };
+      },
+
+      content: (article, { tweetTextDiv }) => tweetTextDiv ? tweetTextDiv.textContent : '',
+
+      // ISO datetime when available (most reliable), else the relative
+      // time in the user info ("2h")
+      timestamp: (article, { timeElement, userText }) =>
+        parseTimeElement(timeElement) || parseRelativeTime(userText[3] || userText[2] || ''),
+
+      timestampText: (article, { timeElement, userText }) =>
+        timeElement ? timeElement.textContent : userText[3] || userText[2] || '',
+
+      engagement: article => ({
+        replies: buttonCount(article, 'reply'),
+        retweets: buttonCount(article, 'retweet'),
+        likes: buttonCount(article, 'like')
+      }),
+
+      media: (article, { outsideQuote }) => extractMedia(article, outsideQuote),
+
+      links: (article, { tweetTextDiv, outsideQuote }) => extractLinks(article, tweetTextDiv, outsideQuote),
+
+      sensitivity: (article, { outsideQuote }) => extractSensitivity(article, outsideQuote),
+
+      // "Username reposted"
+      reposter: article => {
+        const retweetIndicator = article.querySelector('span[data-testid="socialContext"]');
+        return retweetIndicator?.textContent.match(/^(.+?)\s+[Rr]eposted/)?.[1].trim() || null;
+      },
+
+      inReplyTo: (article, { conversation }) => {
+        const replyToHandle = extractReplyToHandle(article);
+        return conversation || replyToHandle
+          ? { id: conversation?.parentId || null, handle: replyToHandle }
+          : null;
+      },
+
+      threadRootId: (article, { conversation }) => conversation?.rootId || null,
+
+      quoted: (article, { quoteCard }) => quoteCard ? extractQuotedTweet(quoteCard) : null
+    }
+  });
 })();
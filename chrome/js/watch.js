@@ -0,0 +1,260 @@
+// watch.js
+// Watch rules and desktop notifications, loaded into the background service
+// worker. A post is announced once, the first time it matches a rule.
+'use strict';
+
+const WATCH_RULES_STORAGE_KEY = 'watchRules';
+const QUIET_MATCHES_STORAGE_KEY = 'quietHoursMatches';
+
+// author:     handle; on all platforms every account of the linked identity
+// keyword:    word or phrase (whole words, case and accents ignored)
+// hashtag:    #tag in the post text
+// engagement: `metric` reaching `threshold`, optionally only for watched authors
+const WATCH_RULE_TYPES = ['author', 'keyword', 'hashtag', 'engagement'];
+const WATCH_METRICS = ['likes', 'reposts', 'replies'];
+
+// Matches are collected for this long and announced together
+const NOTIFICATION_BATCH_DELAY = 10 * 1000;
+
+// Older posts (e.g. found when scrolling back) are never announced, except
+// by engagement rules: a post can reach a threshold at any age
+const NOTIFICATION_MAX_POST_AGE = 24 * 60 * 60 * 1000;
+
+const NOTIFICATION_ID_PREFIX = 'socialagg:';
+
+// Posts listed in the summary sent when quiet hours end (the latest ones)
+const QUIET_SUMMARY_POSTS = 5;
+
+// id -> { id, type, value, platform, metric, threshold, watchedOnly, createdAt }
+let watchRules = {};
+
+let pendingNotifications = []; // [{ post, rules }]
+let notificationTimeout = null;
+
+// Matches held back during quiet hours: { count, posts: [post summary] }
+let quietMatches = { count: 0, posts: [] };
+
+// Load watch rules (and matches held back by quiet hours) from storage
+async function loadWatchRules() {
+  const result = await chrome.storage.local.get([WATCH_RULES_STORAGE_KEY, QUIET_MATCHES_STORAGE_KEY]);
+  watchRules = result[WATCH_RULES_STORAGE_KEY] || {};
+  quietMatches = result[QUIET_MATCHES_STORAGE_KEY] || { count: 0, posts: [] };
+}
+
+async function saveWatchRules() {
+  await chrome.storage.local.set({ [WATCH_RULES_STORAGE_KEY]: watchRules });
+}
+
+// Validate and store a rule, returns the stored rule
+async function addWatchRule({ type, value = '', platform = 'all', metric = 'likes', threshold = 0, watchedOnly = false }) {
+  if (!WATCH_RULE_TYPES.includes(type)) {
+    throw new Error(`Unknown rule type: ${type}`);
+  }
+  value = value.trim();
+  if (type === 'hashtag') {
+    value = value.replace(/^#/, '');
+  }
+  if (type !== 'engagement' && !value) {
+    throw new Error('Rule needs a value');
+  }
+  if (type === 'engagement') {
+    if (!WATCH_METRICS.includes(metric)) {
+      throw new Error(`Unknown metric: ${metric}`);
+    }
+    threshold = parseInt(threshold, 10);
+    if (!(threshold > 0)) {
+      throw new Error('Threshold must be a positive number');
+    }
+  }
+
+  const id = `watch:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  watchRules[id] = type === 'engagement'
+    ? { id, type, platform, metric, threshold, watchedOnly: !!watchedOnly, createdAt: Date.now() }
+    : { id, type, value, platform, createdAt: Date.now() };
+  await saveWatchRules();
+  return watchRules[id];
+}
+
+async function removeWatchRule(id) {
+  delete watchRules[id];
+  await saveWatchRules();
+}
+
+// Rules, oldest first
+function getWatchRules() {
+  return Object.values(watchRules).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Is the author watched by an author rule?
+function isWatchedAuthor(post) {
+  return getWatchRules().some(rule => rule.type === 'author' && watchRuleMatches(rule, post));
+}
+
+// Does a single rule match a post?
+function watchRuleMatches(rule, post) {
+  if (rule.platform && rule.platform !== 'all' && rule.platform !== post.platform) {
+    return false;
+  }
+
+  switch (rule.type) {
+    case 'author':
+      // Same matching as a muted author or word
+      return ruleMatches(rule, post);
+    case 'keyword':
+      return ruleMatches({ ...rule, type: 'word' }, post);
+    case 'hashtag': {
+      const tag = rule.value.toLowerCase();
+      return (filterableText(post).toLowerCase().match(/#[\p{L}\p{N}_]+/gu) || [])
+        .some(hashtag => hashtag.slice(1) === tag);
+    }
+    case 'engagement':
+      return engagementCount(post, rule.metric) >= rule.threshold &&
+             (!rule.watchedOnly || isWatchedAuthor(post));
+  }
+  return false;
+}
+
+// Rules a post matches
+function matchWatchRules(post) {
+  return getWatchRules().filter(rule => watchRuleMatches(rule, post));
+}
+
+// Is `date` inside quiet hours? The range may wrap past midnight.
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours.enabled || quietHours.start === quietHours.end) return false;
+
+  const now = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return quietHours.start < quietHours.end
+    ? now >= quietHours.start && now < quietHours.end
+    : now >= quietHours.start || now < quietHours.end;
+}
+
+// Announce a post if it matches a watch rule for the first time.
+// Sets `notifiedAt` on the post; returns true if it was queued. During
+// quiet hours it is held for the summary sent when they end.
+function checkWatchRules(post, settings) {
+  if (post.notifiedAt || !settings.showNotifications) return false;
+
+  const old = Date.now() - (post.timestamp || post.scrapedAt) > NOTIFICATION_MAX_POST_AGE;
+  const rules = matchWatchRules(post).filter(rule => !old || rule.type === 'engagement');
+  if (rules.length === 0) return false;
+
+  post.notifiedAt = Date.now();
+  if (isQuietTime(settings.quietHours)) {
+    holdQuietMatch(post);
+    return true;
+  }
+
+  pendingNotifications.push({ post, rules });
+  if (!notificationTimeout) {
+    notificationTimeout = setTimeout(flushNotifications, NOTIFICATION_BATCH_DELAY);
+  }
+  return true;
+}
+
+// Count a quiet-hours match, keeping just enough of the latest posts to
+// list them. Stored so the summary survives a service worker restart.
+function holdQuietMatch(post) {
+  const summary = {
+    key: post.key,
+    platform: post.platform,
+    author: { name: post.author?.name, handle: post.author?.handle },
+    content: (post.content || '').slice(0, 200)
+  };
+  quietMatches = {
+    count: quietMatches.count + 1,
+    posts: [...quietMatches.posts, summary].slice(-QUIET_SUMMARY_POSTS)
+  };
+  chrome.storage.local.set({ [QUIET_MATCHES_STORAGE_KEY]: quietMatches });
+}
+
+// Once quiet hours are over, announce what matched during them in one
+// notification
+async function flushQuietMatches(settings) {
+  if (quietMatches.count === 0 || isQuietTime(settings.quietHours)) return;
+
+  const { count, posts } = quietMatches;
+  quietMatches = { count: 0, posts: [] };
+  await chrome.storage.local.remove(QUIET_MATCHES_STORAGE_KEY);
+  if (!settings.showNotifications) return;
+
+  if (count === 1) {
+    chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}post:${posts[0].key}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('images/icon.png'),
+      title: `${notificationAuthor(posts[0])} · during quiet hours`,
+      message: posts[0].content || 'New post',
+      contextMessage: posts[0].platform
+    });
+    return;
+  }
+
+  chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}batch:${Date.now()}`, {
+    type: 'list',
+    iconUrl: chrome.runtime.getURL('images/icon.png'),
+    title: `${count} posts matched your watch rules during quiet hours`,
+    message: '',
+    items: posts.slice().reverse().map(notificationListItem)
+  });
+}
+
+function notificationAuthor(post) {
+  return post.author?.name || post.author?.handle || 'New post';
+}
+
+// One row of a list notification
+function notificationListItem(post) {
+  return {
+    title: post.author?.name || post.author?.handle || post.platform,
+    message: (post.content || '').slice(0, 80)
+  };
+}
+
+// Short description of why a post was announced
+function describeWatchRule(rule) {
+  switch (rule.type) {
+    case 'author': return `@${rule.value.replace(/^@/, '')}`;
+    case 'keyword': return `"${rule.value}"`;
+    case 'hashtag': return `#${rule.value}`;
+    case 'engagement': return `${formatCount(rule.threshold)}+ ${rule.metric}`;
+  }
+  return rule.type;
+}
+
+function formatCount(number) {
+  return number >= 1000 ? `${Math.round(number / 100) / 10}k` : String(number);
+}
+
+// One notification for a single match, a list notification for a burst
+function flushNotifications() {
+  const batch = pendingNotifications;
+  pendingNotifications = [];
+  notificationTimeout = null;
+  if (batch.length === 0) return;
+
+  if (batch.length === 1) {
+    const { post, rules } = batch[0];
+    chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}post:${post.key}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('images/icon.png'),
+      title: `${notificationAuthor(post)} · ${rules.map(describeWatchRule).join(', ')}`,
+      message: (post.content || '').slice(0, 200) || 'New post',
+      contextMessage: post.platform
+    });
+    return;
+  }
+
+  chrome.notifications.create(`${NOTIFICATION_ID_PREFIX}batch:${Date.now()}`, {
+    type: 'list',
+    iconUrl: chrome.runtime.getURL('images/icon.png'),
+    title: `${batch.length} new posts matched your watch rules`,
+    message: '',
+    items: batch.slice(0, 5).map(({ post }) => notificationListItem(post))
+  });
+}
+
+// Post key behind a single-post notification, null for a batch
+function notificationPostKey(notificationId) {
+  const prefix = `${NOTIFICATION_ID_PREFIX}post:`;
+  return notificationId.startsWith(prefix) ? notificationId.slice(prefix.length) : null;
+}
@@ -4,43 +4,165 @@
 let currentFilter = 'all';
 let currentSort = 'chronological';
 let currentAuthor = 'all';
+let currentCommunity = 'all';
+let liveTabsOnly = false;
+let currentQuery = '';
+let currentView = 'posts'; // 'posts', 'links' or 'collection'
+let currentCollection = null; // collection id while currentView is 'collection'
+let collectionList = [];
+let showFiltered = false;
+let filterRuleList = [];
+let expandedThreads = new Set(); // keys of cards whose thread is open
+let revealedPosts = new Set(); // keys of sensitive cards the user revealed
+let sessionUnread = new Set(); // keys that were unread when first loaded this visit
+let pendingReads = new Set(); // keys waiting to be sent with MARK_READ
+let readTimeout = null;
+let readObserver = null;
+let sensitivityPrefs = {}; // label -> 'show' | 'blur' | 'hide'
+let rankingPrefs = {}; // engagement sort weights and half-life
 let allPosts = [];
+let hasMorePosts = false;
+let feedStats = { posts: 0, filtered: 0, unread: {}, tabs: 0 };
+let topLinks = [];
+let refreshTimer = null;
+let feedUpdateTimeout = null;
+let authorsStale = true; // new posts since the author list was built
+
+// Posts fetched per page from the archive
+const PAGE_SIZE = 100;
+
+// Posts arrive one message each; reload once they stop for this long
+const FEED_UPDATE_DELAY = 1000;
+
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners();
+  applySettings(await loadSettings());
+  await loadFilterRules();
+  await loadCollections();
   await loadFeed();
+  await updateAuthorDropdown();
+  
+  // Settings changed on the options page, the sidebar or another feed tab
+  onSettingsChanged(settings => {
+    applySettings(settings);
+    reloadFeed();
+  });
   
   // Listen for real-time updates from background
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'FEED_UPDATED') {
-      loadFeed();
+      authorsStale = true;
+      clearTimeout(feedUpdateTimeout);
+      feedUpdateTimeout = setTimeout(loadFeed, FEED_UPDATE_DELAY);
     } else if (message.type === 'FEED_CLEARED') {
       allPosts = [];
+      hasMorePosts = false;
       renderFeed();
+      updateAuthorDropdown();
     }
   });
-  
-  // Auto-refresh every 10 seconds
-  setInterval(loadFeed, 10000);
 });
 
+// Apply the stored settings to the page
+function applySettings(settings) {
+  currentSort = settings.sortBy;
+  document.getElementById('sortSelect').value = currentSort;
+  
+  rankingPrefs = settings.ranking;
+  renderRankingControls();
+  
+  sensitivityPrefs = settings.sensitivity;
+  renderSensitivityPrefs();
+  
+  document.body.classList.toggle('density-compact', settings.density === 'compact');
+  
+  // Platforms switched off get no filter button
+  document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+    btn.style.display = settings.enabledPlatforms[btn.dataset.filter] === false ? 'none' : '';
+  });
+  if (settings.enabledPlatforms[currentFilter] === false) {
+    currentFilter = 'all';
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.filter === 'all');
+    });
+  }
+  
+  // Auto-refresh, an interval of 0 turns it off
+  clearInterval(refreshTimer);
+  refreshTimer = settings.refreshInterval > 0
+    ? setInterval(loadFeed, settings.refreshInterval * 1000)
+    : null;
+}
+
 // Setup event listeners
 function setupEventListeners() {
+  // Search box (debounced, the query runs against the background index)
+  let searchTimeout = null;
+  document.getElementById('searchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      currentQuery = e.target.value.trim();
+      reloadFeed();
+    }, 300);
+  });
+  
+  // View buttons
+  document.querySelectorAll('.filter-btn[data-view]').forEach(btn => {
+    btn.addEventListener('click', () => setView(btn.dataset.view));
+  });
+  
+  // New collection form
+  document.getElementById('collectionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('collectionName');
+    const response = await chrome.runtime.sendMessage({ type: 'CREATE_COLLECTION', name: input.value });
+    if (response.success) {
+      input.value = '';
+      await loadCollections();
+    }
+  });
+  
   // Filter buttons
-  document.querySelectorAll('.filter-btn').forEach(btn => {
+  document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
     btn.addEventListener('click', () => {
-      document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('.filter-btn[data-filter]').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       currentFilter = btn.dataset.filter;
-      renderFeed();
+      reloadFeed();
     });
   });
   
-  // Sort select
+  // Live tabs toggle
+  document.getElementById('liveTabsToggle').addEventListener('change', (e) => {
+    liveTabsOnly = e.target.checked;
+    reloadFeed();
+  });
+  
+  // Sort select, remembered as the default sort
   document.getElementById('sortSelect').addEventListener('change', (e) => {
-    currentSort = e.target.value;
-    renderFeed();
+    // storage.onChanged picks this up and reloads the feed
+    saveSettings({ sortBy: e.target.value });
+  });
+  
+  // Engagement ranking weights and decay
+  document.querySelectorAll('[data-ranking]').forEach(input => {
+    input.addEventListener('input', () => {
+      document.querySelector(`[data-ranking-value="${input.dataset.ranking}"]`)?.replaceChildren(input.value);
+    });
+    input.addEventListener('change', () => {
+      // storage.onChanged picks this up and reloads the feed
+      saveSettings({ ranking: { ...rankingPrefs, [input.dataset.ranking]: Number(input.value) } });
+    });
+  });
+  
+  // The author list takes a pass over the whole archive, so it is only
+  // rebuilt when the user goes to pick an author
+  ['pointerenter', 'focusin'].forEach(type => {
+    document.getElementById('authorSelect').parentElement.addEventListener(type, () => {
+      if (authorsStale) updateAuthorDropdown();
+    });
   });
   
   // Author select
@@ -48,7 +170,7 @@ function setupEventListeners() {
     currentAuthor = e.target.value;
     const clearBtn = document.getElementById('clearAuthorBtn');
     clearBtn.style.display = currentAuthor === 'all' ? 'none' : 'block';
-    renderFeed();
+    reloadFeed();
   });
   
   // Clear author filter button
@@ -57,7 +179,69 @@ function setupEventListeners() {
     authorSelect.value = 'all';
     currentAuthor = 'all';
     document.getElementById('clearAuthorBtn').style.display = 'none';
-    renderFeed();
+    reloadFeed();
+  });
+  
+  // Subreddit select
+  document.getElementById('communitySelect').addEventListener('change', (e) => {
+    currentCommunity = e.target.value;
+    document.getElementById('clearCommunityBtn').style.display = currentCommunity === 'all' ? 'none' : 'block';
+    reloadFeed();
+  });
+  
+  // Clear subreddit filter button
+  document.getElementById('clearCommunityBtn').addEventListener('click', () => {
+    document.getElementById('communitySelect').value = 'all';
+    currentCommunity = 'all';
+    document.getElementById('clearCommunityBtn').style.display = 'none';
+    reloadFeed();
+  });
+  
+  // Show/hide posts caught by filter rules
+  document.getElementById('filteredToggle').addEventListener('click', () => {
+    showFiltered = !showFiltered;
+    reloadFeed();
+  });
+  
+  // Filter rule form
+  const ruleType = document.getElementById('ruleType');
+  ruleType.addEventListener('change', updateRuleForm);
+  updateRuleForm();
+  
+  document.getElementById('ruleForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const hours = parseInt(document.getElementById('ruleExpiry').value, 10);
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_FILTER_RULE',
+      rule: {
+        type: ruleType.value,
+        value: document.getElementById('ruleValue').value,
+        platform: document.getElementById('rulePlatform').value,
+        expiresAt: hours > 0 ? Date.now() + hours * 60 * 60 * 1000 : null
+      }
+    });
+    
+    document.getElementById('ruleError').textContent = response.success ? '' : response.error;
+    if (response.success) {
+      document.getElementById('ruleValue').value = '';
+      await loadFilterRules();
+      reloadFeed();
+    }
+  });
+  
+  // Lightbox closes on the button, the backdrop or Escape
+  const lightbox = document.getElementById('lightbox');
+  lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+  lightbox.addEventListener('click', (e) => {
+    if (e.target === lightbox) closeLightbox();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeLightbox();
+  });
+  
+  // Load more button
+  document.getElementById('loadMoreBtn').addEventListener('click', () => {
+    loadFeed(true);
   });
   
   // Refresh button
@@ -69,83 +253,436 @@ function setupEventListeners() {
     setTimeout(() => btn.disabled = false, 2000);
   });
   
+  // Mark all read button
+  document.getElementById('markAllReadBtn').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'MARK_ALL_READ' });
+    await loadFeed();
+  });
+  
+  // Export button
+  document.getElementById('exportBtn').addEventListener('click', exportFeed);
+  
+  // Import button, merges a JSON export into the archive
+  document.getElementById('importBtn').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+  });
+  document.getElementById('importFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+      importArchive(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+  
+  // Settings button
+  document.getElementById('settingsBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+  
   // Clear button
   document.getElementById('clearBtn').addEventListener('click', async () => {
     if (confirm('Clear all posts from the feed?')) {
       await chrome.runtime.sendMessage({ type: 'CLEAR_FEED' });
       allPosts = [];
+      hasMorePosts = false;
       renderFeed();
     }
   });
 }
 
+// Download the current view (or the whole archive) in the chosen format
+async function exportFeed() {
+  const btn = document.getElementById('exportBtn');
+  btn.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXPORT_FEED',
+      format: document.getElementById('exportFormat').value,
+      scope: document.getElementById('exportScope').value,
+      collection: currentView === 'collection' ? currentCollection : null,
+      ...feedFilters()
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = response.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('Failed to export feed:', error);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Merge a JSON export into the archive and report what happened
+async function importArchive(file) {
+  const status = document.getElementById('importStatus');
+  status.classList.remove('error');
+  status.textContent = `Importing ${file.name}…`;
+  
+  const response = await chrome.runtime.sendMessage({ type: 'IMPORT_ARCHIVE', content: await file.text() });
+  if (!response.success) {
+    status.classList.add('error');
+    status.textContent = response.error;
+    return;
+  }
+  
+  status.textContent = `${response.added.toLocaleString()} added, ${response.updated.toLocaleString()} updated` +
+    (response.rejected > 0 ? `, ${response.rejected.toLocaleString()} rejected` : '');
+  await loadFeed();
+}
+
+// Ranking controls only apply to (and only show for) the engagement sort
+function renderRankingControls() {
+  document.getElementById('rankingControls').style.display = currentSort === 'engagement' ? 'flex' : 'none';
+  document.querySelectorAll('[data-ranking]').forEach(input => {
+    const value = rankingPrefs[input.dataset.ranking];
+    // A half-life set on the options page may not be in the list
+    if (input.tagName === 'SELECT' && !Array.from(input.options).some(option => Number(option.value) === value)) {
+      input.add(new Option(`${value}h half-life`, value));
+    }
+    input.value = value;
+    document.querySelector(`[data-ranking-value="${input.dataset.ranking}"]`)?.replaceChildren(String(value));
+  });
+}
+
+// Filters and sort of the posts view, as GET_FEED expects them
+function feedFilters() {
+  return {
+    sortBy: currentSort,
+    platform: currentFilter,
+    author: currentAuthor,
+    community: currentCommunity,
+    liveOnly: liveTabsOnly,
+    query: currentQuery,
+    hiddenLabels: Object.keys(sensitivityPrefs).filter(label => sensitivityPrefs[label] === 'hide'),
+    showFiltered: showFiltered
+  };
+}
+
 // Load feed from background
-async function loadFeed() {
+// When appending, fetch the next page; otherwise refresh everything loaded so far
+async function loadFeed(append = false) {
+  if (currentView === 'links') {
+    await loadTopLinks();
+    return;
+  }
+  if (currentView === 'collection') {
+    await loadCollectionFeed();
+    return;
+  }
+  
   try {
     const response = await chrome.runtime.sendMessage({ 
       type: 'GET_FEED',
-      sortBy: currentSort
+      ...feedFilters(),
+      offset: append ? allPosts.length : 0,
+      limit: append ? PAGE_SIZE : Math.max(allPosts.length, PAGE_SIZE)
     });
     
     if (response && response.feed) {
-      allPosts = response.feed;
+      allPosts = append ? allPosts.concat(response.feed) : response.feed;
+      hasMorePosts = response.hasMore;
+      // Remember what was new this visit so the divider stays put once read
+      response.feed.forEach(post => {
+        if (post.unread && !pendingReads.has(post.key)) {
+          sessionUnread.add(post.key);
+        } else if (pendingReads.has(post.key)) {
+          delete post.unread;
+        }
+      });
+      feedStats = response.stats;
       renderFeed();
       updateStats();
+    } else if (response?.error) {
+      console.error('Failed to load feed:', response.error);
     }
+    
+    await updateCommunityDropdown();
   } catch (error) {
     console.error('Failed to load feed:', error);
   }
 }
 
-// Update author dropdown with unique authors
-function updateAuthorDropdown() {
-  const authorSelect = document.getElementById('authorSelect');
-  const currentValue = authorSelect.value;
+// Switch between the feed, top links and a collection
+function setView(view, collection = null) {
+  currentView = view;
+  currentCollection = collection;
+  document.querySelectorAll('.filter-btn[data-view]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === view && (btn.dataset.collection || null) === collection);
+  });
+  reloadFeed();
+}
+
+// Load collections (with counts) from background
+async function loadCollections() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_COLLECTIONS' });
+  collectionList = response?.collections || [];
+  renderCollections();
+}
+
+// Sidebar buttons for each collection
+function renderCollections() {
+  const list = document.getElementById('collectionList');
+  list.innerHTML = collectionList.map(collection => `
+    <div class="collection-row">
+      <button class="filter-btn ${currentView === 'collection' && currentCollection === collection.id ? 'active' : ''}"
+              data-view="collection" data-collection="${escapeHtml(collection.id)}">
+        <span class="filter-icon">${collection.id === 'bookmarks' ? '🔖' : '📁'}</span>
+        ${escapeHtml(collection.name)}
+        <span class="unread-count">${collection.count || ''}</span>
+      </button>
+      ${collection.id === 'bookmarks' ? '' : `
+        <button class="btn-icon" data-delete-collection="${escapeHtml(collection.id)}" title="Delete collection">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      `}
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.filter-btn[data-collection]').forEach(btn => {
+    btn.addEventListener('click', () => setView('collection', btn.dataset.collection));
+  });
   
-  // Get unique authors by handle only (not handle@platform)
-  // Exclude posts that are reposts (where reposter is present)
-  const authors = new Map();
-  allPosts.forEach(post => {
-    // Skip reposts - they shouldn't count toward author list
-    if (post.reposter) {
-      return;
+  list.querySelectorAll('[data-delete-collection]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const collection = collectionList.find(c => c.id === button.dataset.deleteCollection);
+      if (!confirm(`Delete the collection "${collection.name}"? Its posts stay in the archive.`)) return;
+      
+      await chrome.runtime.sendMessage({ type: 'DELETE_COLLECTION', id: collection.id });
+      if (currentCollection === collection.id) {
+        setView('posts');
+      }
+      await loadCollections();
+    });
+  });
+}
+
+// Load the posts in the open collection
+async function loadCollectionFeed() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_COLLECTION', id: currentCollection });
+    if (response && response.feed) {
+      allPosts = response.feed;
+      hasMorePosts = false;
+      renderFeed();
     }
+  } catch (error) {
+    console.error('Failed to load collection:', error);
+  }
+}
+
+// Add a post to or remove it from a collection, then refresh counts and cards
+async function setPostCollection(key, collection, member) {
+  await chrome.runtime.sendMessage({ type: 'SET_POST_COLLECTION', key, collection, member });
+  await loadCollections();
+  await loadFeed();
+}
+
+// Load the most widely shared links from background
+async function loadTopLinks() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TOP_LINKS' });
+    if (response && response.links) {
+      topLinks = response.links;
+      renderTopLinks();
+    }
+  } catch (error) {
+    console.error('Failed to load top links:', error);
+  }
+}
+
+// Load the active filter rules from background
+async function loadFilterRules() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_FILTER_RULES' });
+  filterRuleList = response?.rules || [];
+  renderFilterRules();
+}
+
+// Placeholder and value field to match the selected rule type
+function updateRuleForm() {
+  const type = document.getElementById('ruleType').value;
+  const input = document.getElementById('ruleValue');
+  input.style.display = type === 'replies' ? 'none' : 'block';
+  input.placeholder = {
+    word: 'Word or phrase',
+    regex: 'Regular expression',
+    author: '@handle',
+    repost: 'Name or @handle of the reposter'
+  }[type] || '';
+}
+
+// Human-readable description of a rule
+function describeRule(rule) {
+  const scope = rule.platform === 'all'
+    ? (rule.type === 'author' ? ' (all linked accounts)' : '')
+    : ` on ${platformName(rule.platform)}`;
+  const expiry = rule.expiresAt ? ` · until ${new Date(rule.expiresAt).toLocaleString()}` : '';
+  const description = {
+    word: `Muted word "${rule.value}"`,
+    regex: `Pattern /${rule.value}/`,
+    author: `Muted @${rule.value.replace(/^@/, '')}`,
+    repost: `Reposts by ${rule.value}`,
+    replies: 'Replies'
+  }[rule.type];
+  return `${description}${scope}${expiry}`;
+}
+
+// List of active rules with remove buttons
+function renderFilterRules() {
+  const list = document.getElementById('ruleList');
+  list.innerHTML = filterRuleList.map(rule => `
+    <div class="rule-item">
+      <span>${escapeHtml(describeRule(rule))}</span>
+      <button class="btn-icon" data-remove-rule="${escapeHtml(rule.id)}" title="Remove rule">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('[data-remove-rule]').forEach(button => {
+    button.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_FILTER_RULE', id: button.dataset.removeRule });
+      await loadFilterRules();
+      reloadFeed();
+    });
+  });
+}
+
+// Descriptions of the active rules that filtered a post
+function filteredByRules(post) {
+  return filterRuleList.filter(rule => post.filteredBy?.includes(rule.id)).map(describeRule);
+}
+
+// Queue cards' posts (with their grouped copies and replies) to be marked read
+function markRead(posts) {
+  posts.filter(post => post.unread).forEach(post => {
+    delete post.unread;
+    feedStats.unread.all = Math.max(0, (feedStats.unread.all || 0) - 1);
+    feedStats.unread[post.platform] = Math.max(0, (feedStats.unread[post.platform] || 0) - 1);
     
-    const key = post.author.handle; // Use only handle as key
-    if (!authors.has(key)) {
-      authors.set(key, {
-        handle: post.author.handle,
-        name: post.author.name,
-        platforms: new Set([post.platform]),
-        count: 0
-      });
-    } else {
-      // Add platform to the set
-      authors.get(key).platforms.add(post.platform);
+    [post, ...(post.crosspostPosts || []), ...(post.threadPosts || [])]
+      .forEach(member => pendingReads.add(member.key));
+    document.querySelector(`.post-card[data-post-key="${CSS.escape(post.key)}"]`)?.classList.remove('unread');
+  });
+  updateStats();
+  
+  clearTimeout(readTimeout);
+  readTimeout = setTimeout(flushReads, 1000);
+}
+
+// Send queued read marks to background
+async function flushReads() {
+  clearTimeout(readTimeout);
+  if (pendingReads.size === 0) return;
+  
+  const keys = Array.from(pendingReads);
+  await chrome.runtime.sendMessage({ type: 'MARK_READ', keys });
+  keys.forEach(key => pendingReads.delete(key));
+}
+
+// Mark unread cards read once they scroll up out of view
+function observeReadState(container, posts) {
+  readObserver?.disconnect();
+  
+  const postsByKey = new Map(posts.map(post => [post.key, post]));
+  readObserver = new IntersectionObserver(entries => {
+    const scrolledPast = entries
+      .filter(entry => !entry.isIntersecting && entry.rootBounds && entry.boundingClientRect.bottom <= entry.rootBounds.top)
+      .map(entry => postsByKey.get(entry.target.dataset.postKey))
+      .filter(Boolean);
+    if (scrolledPast.length > 0) {
+      scrolledPast.forEach(post => readObserver.unobserve(
+        container.querySelector(`.post-card[data-post-key="${CSS.escape(post.key)}"]`)
+      ));
+      markRead(scrolledPast);
     }
-    authors.get(key).count++;
+  }, { root: document.querySelector('.feed-main') });
+  
+  container.querySelectorAll('.post-card.unread').forEach(card => readObserver.observe(card));
+}
+
+// Sidebar selects for each sensitivity label
+function renderSensitivityPrefs() {
+  const container = document.querySelector('#sensitivityPanel .sensitivity-prefs');
+  container.innerHTML = Object.entries(SENSITIVITY_LABELS).map(([label, name]) => `
+    <label class="sensitivity-pref">
+      <span>${escapeHtml(name)}</span>
+      <select data-label="${label}">
+        ${['show', 'blur', 'hide'].map(action => `
+          <option value="${action}" ${(sensitivityPrefs[label] || 'blur') === action ? 'selected' : ''}>
+            ${action[0].toUpperCase() + action.slice(1)}
+          </option>
+        `).join('')}
+      </select>
+    </label>
+  `).join('');
+  
+  container.querySelectorAll('select').forEach(select => {
+    select.addEventListener('change', () => {
+      // storage.onChanged picks this up and reloads the feed
+      saveSettings({ sensitivity: { ...sensitivityPrefs, [select.dataset.label]: select.value } });
+    });
   });
+}
+
+// Strictest preference among a post's labels: hide > blur > show
+function sensitivityAction(post) {
+  if (!post.sensitivity) return 'show';
+  const actions = post.sensitivity.labels.map(label => sensitivityPrefs[label] || 'blur');
+  if (actions.includes('hide')) return 'hide';
+  if (actions.includes('blur')) return 'blur';
+  return 'show';
+}
+
+// Start again from the first page (after a filter or sort change)
+function reloadFeed() {
+  allPosts = [];
+  loadFeed();
+}
+
+// Update author dropdown with unique authors from the whole archive
+async function updateAuthorDropdown() {
+  const authorSelect = document.getElementById('authorSelect');
+  const currentValue = authorSelect.value;
   
-  // Sort authors by post count (descending)
-  const sortedAuthors = Array.from(authors.values())
-    .sort((a, b) => b.count - a.count);
+  // Authors are merged by linked identity (unlinked authors are per platform),
+  // reposts excluded
+  authorsStale = false;
+  const response = await chrome.runtime.sendMessage({ type: 'GET_AUTHORS' });
+  const sortedAuthors = response?.authors || [];
   
   // Rebuild dropdown
   authorSelect.innerHTML = '<option value="all">All Authors</option>';
   
   sortedAuthors.forEach(author => {
     const option = document.createElement('option');
-    option.value = author.handle; // Store just the handle
+    option.value = author.id; // Identity ID, or platform:handle when unlinked
     
     // Show platform emojis for all platforms this author appears on
-    const platformEmojis = Array.from(author.platforms).map(p => 
-      p === 'twitter' ? '𝕏' : p === 'bluesky' ? '🦋' : '🐘'
-    ).join('');
+    const platformEmojis = author.platforms.map(platformIcon).join('');
+    const handles = author.handles.map(handle => `@${handle}`).join(', ');
     
-    option.textContent = `${platformEmojis} ${author.name} (@${author.handle}) · ${author.count}`;
+    option.textContent = `${platformEmojis} ${author.name} (${handles}) · ${author.count}`;
     authorSelect.appendChild(option);
   });
   
+  document.getElementById('authorCount').textContent =
+    `${sortedAuthors.length} ${sortedAuthors.length === 1 ? 'author' : 'authors'}`;
+  
+  renderIdentityPanel(response?.suggestions || [], response?.linked || []);
+  
   // Restore previous selection if it still exists
   if (currentValue !== 'all' && Array.from(authorSelect.options).some(opt => opt.value === currentValue)) {
     authorSelect.value = currentValue;
@@ -154,31 +691,116 @@ function updateAuthorDropdown() {
     authorSelect.value = 'all';
     currentAuthor = 'all';
     document.getElementById('clearAuthorBtn').style.display = 'none';
+    reloadFeed();
   }
 }
 
+// Update the subreddit dropdown; the section only shows once there are any
+async function updateCommunityDropdown() {
+  const communitySelect = document.getElementById('communitySelect');
+  const currentValue = communitySelect.value;
+  
+  const response = await chrome.runtime.sendMessage({ type: 'GET_COMMUNITIES' });
+  const communities = response?.communities || [];
+  
+  communitySelect.innerHTML = '<option value="all">All Subreddits</option>';
+  communities.forEach(community => {
+    communitySelect.appendChild(new Option(`${community.name} · ${community.count}`, community.name));
+  });
+  document.getElementById('communitySection').style.display = communities.length ? 'block' : 'none';
+  
+  // Restore previous selection if it still exists
+  if (currentValue !== 'all' && communities.some(community => community.name === currentValue)) {
+    communitySelect.value = currentValue;
+  } else if (currentValue !== 'all') {
+    communitySelect.value = 'all';
+    currentCommunity = 'all';
+    document.getElementById('clearCommunityBtn').style.display = 'none';
+    reloadFeed();
+  }
+}
+
+// Render identity link suggestions and linked identities in the sidebar
+function renderIdentityPanel(suggestions, linked) {
+  const panel = document.getElementById('identityPanel');
+  panel.style.display = suggestions.length || linked.length ? 'block' : 'none';
+  
+  const suggestionsHTML = suggestions.map((suggestion, index) => `
+    <div class="identity-item suggestion">
+      <div class="identity-name">${escapeHtml(suggestion.name)}</div>
+      <div class="identity-handles">
+        ${suggestion.authors.map(a => `${platformIcon(a.platform)} @${escapeHtml(a.handle)}`).join('<br>')}
+      </div>
+      <div class="identity-reason">${escapeHtml(suggestion.reason)}</div>
+      <div class="identity-actions">
+        <button class="btn btn-primary" data-link="${index}">Link</button>
+        <button class="btn btn-secondary" data-reject="${index}">Dismiss</button>
+      </div>
+    </div>
+  `).join('');
+  
+  const linkedHTML = linked.map(identity => `
+    <div class="identity-item">
+      <div class="identity-name">${escapeHtml(identity.name)}</div>
+      <div class="identity-handles">
+        ${identity.members.map(m => `${platformIcon(m.platform)} @${escapeHtml(m.handle)}`).join('<br>')}
+      </div>
+      <div class="identity-actions">
+        <button class="btn btn-secondary" data-unlink="${escapeHtml(identity.id)}">Unlink</button>
+      </div>
+    </div>
+  `).join('');
+  
+  panel.querySelector('.identity-list').innerHTML = suggestionsHTML + linkedHTML;
+  
+  // Confirm, reject and unlink handlers
+  panel.querySelectorAll('[data-link]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const suggestion = suggestions[btn.dataset.link];
+      await chrome.runtime.sendMessage({ type: 'LINK_AUTHORS', keys: suggestion.keys, name: suggestion.name });
+      reloadFeed();
+      updateAuthorDropdown();
+    });
+  });
+  panel.querySelectorAll('[data-reject]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const suggestion = suggestions[btn.dataset.reject];
+      await chrome.runtime.sendMessage({ type: 'REJECT_IDENTITY_SUGGESTION', keys: suggestion.keys });
+      updateAuthorDropdown();
+    });
+  });
+  panel.querySelectorAll('[data-unlink]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'UNLINK_IDENTITY', id: btn.dataset.unlink });
+      reloadFeed();
+      updateAuthorDropdown();
+    });
+  });
+}
+
 
 // Render feed
+// Platform and author filters are applied by the background archive query
 function renderFeed() {
-  // Update author dropdown first
-  updateAuthorDropdown();
-  
   const container = document.getElementById('feedContainer');
   const emptyState = document.getElementById('emptyState');
+  const loadMoreBtn = document.getElementById('loadMoreBtn');
+  const filteredToggle = document.getElementById('filteredToggle');
+  const filteredPosts = allPosts;
   
-  // Filter posts by platform
-  let filteredPosts = allPosts;
-  if (currentFilter !== 'all') {
-    filteredPosts = filteredPosts.filter(post => post.platform === currentFilter);
-  }
+  loadMoreBtn.style.display = hasMorePosts ? 'flex' : 'none';
   
-  // Filter posts by author (handle only, across all platforms)
-  if (currentAuthor !== 'all') {
-    filteredPosts = filteredPosts.filter(post => post.author.handle === currentAuthor);
-  }
+  // "Show N filtered" toggle
+  const filteredCount = feedStats.filtered || 0;
+  filteredToggle.style.display = filteredCount > 0 || showFiltered ? 'block' : 'none';
+  filteredToggle.textContent = showFiltered
+    ? 'Hide filtered posts'
+    : `Show ${filteredCount} filtered ${filteredCount === 1 ? 'post' : 'posts'}`;
   
   // Show/hide empty state
   if (filteredPosts.length === 0) {
+    emptyState.querySelector('h2').textContent = currentView === 'collection' ? 'No posts in this collection'
+      : currentQuery ? 'No matching posts' : 'No posts yet';
     container.style.display = 'none';
     emptyState.style.display = 'block';
     return;
@@ -187,19 +809,138 @@ function renderFeed() {
   container.style.display = 'flex';
   emptyState.style.display = 'none';
   
-  // Render posts
-  container.innerHTML = filteredPosts.map(post => createPostHTML(post)).join('');
+  // Render posts, with a divider between this visit's new posts and the
+  // ones already read (newest-first order only)
+  container.innerHTML = filteredPosts.map((post, index) => {
+    const divider = currentSort === 'chronological' && index > 0 &&
+      sessionUnread.has(filteredPosts[index - 1].key) && !sessionUnread.has(post.key);
+    return (divider ? '<div class="read-divider"><span>Already read</span></div>' : '') + createPostHTML(post);
+  }).join('');
   
   // Add click handlers
   container.querySelectorAll('.post-card').forEach((card, index) => {
     card.addEventListener('click', () => {
       const post = filteredPosts[index];
+      markRead([post]);
+      flushReads();
       chrome.runtime.sendMessage({ 
         type: 'OPEN_POST',
         url: post.url
       });
     });
   });
+  
+  // Cross-post links and thread replies open their own post instead
+  container.querySelectorAll('[data-open-url]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.stopPropagation();
+      chrome.runtime.sendMessage({ 
+        type: 'OPEN_POST',
+        url: link.dataset.openUrl
+      });
+    });
+  });
+  
+  // Bookmark and collection actions don't open the post
+  container.querySelectorAll('.post-actions').forEach(actions => {
+    actions.addEventListener('click', (e) => e.stopPropagation());
+  });
+  
+  container.querySelectorAll('[data-bookmark]').forEach(button => {
+    button.addEventListener('click', () => {
+      setPostCollection(button.dataset.bookmark, 'bookmarks', !button.classList.contains('active'));
+    });
+  });
+  
+  container.querySelectorAll('.collection-menu input[type="checkbox"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      setPostCollection(checkbox.dataset.key, checkbox.dataset.collection, checkbox.checked);
+    });
+  });
+  
+  // Reveal sensitive content
+  container.querySelectorAll('[data-reveal]').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      revealedPosts.add(button.dataset.reveal);
+      renderFeed();
+    });
+  });
+  
+  // Media opens in the lightbox
+  container.querySelectorAll('.media-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openLightbox(JSON.parse(decodeURIComponent(item.dataset.media)), item.dataset.postUrl);
+    });
+  });
+  
+  observeReadState(container, filteredPosts);
+  
+  // Thread expand/collapse
+  container.querySelectorAll('.thread-toggle').forEach(toggle => {
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const key = toggle.dataset.thread;
+      if (expandedThreads.has(key)) {
+        expandedThreads.delete(key);
+      } else {
+        expandedThreads.add(key);
+      }
+      renderFeed();
+    });
+  });
+}
+
+// Render the "Top links" view
+function renderTopLinks() {
+  const container = document.getElementById('feedContainer');
+  const emptyState = document.getElementById('emptyState');
+  document.getElementById('loadMoreBtn').style.display = 'none';
+  
+  if (topLinks.length === 0) {
+    emptyState.querySelector('h2').textContent = 'No shared links yet';
+    container.style.display = 'none';
+    emptyState.style.display = 'block';
+    return;
+  }
+  
+  container.style.display = 'flex';
+  emptyState.style.display = 'none';
+  
+  container.innerHTML = topLinks.map((link, index) => `
+    <div class="post-card top-link">
+      <div class="top-link-rank">${index + 1}</div>
+      <div class="top-link-body">
+        ${linkCardHTML(link)}
+        <div class="top-link-stats">
+          ${link.authors} ${link.authors === 1 ? 'author' : 'authors'} ·
+          ${link.posts.length} ${link.posts.length === 1 ? 'post' : 'posts'}
+          ${link.platforms.map(platform => platformBadgeHTML(platform)).join('')}
+        </div>
+        <div class="top-link-shares">
+          ${link.posts.map(share => `
+            <div class="crosspost-link" data-open-url="${escapeHtml(share.url)}" title="Open post">
+              ${platformBadgeHTML(share.platform, share.software)}
+              <span class="author-name">${escapeHtml(share.author.name)}</span>
+              <span class="author-handle">@${escapeHtml(share.author.handle)}</span>
+              <span class="post-timestamp">${formatTimestamp(share.timestamp)}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('[data-open-url]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.stopPropagation();
+      chrome.runtime.sendMessage({ 
+        type: 'OPEN_POST',
+        url: link.dataset.openUrl
+      });
+    });
+  });
 }
 
 // Create post HTML
@@ -210,14 +951,25 @@ function createPostHTML(post) {
   // Use avatar if available, otherwise fall back to initials
   const avatarHTML = post.author.avatar 
     ? `<img src="${escapeHtml(post.author.avatar)}" alt="${escapeHtml(post.author.name)}" class="post-avatar-img">`
-    : `<div class="post-avatar-initials">${initials}</div>`;
+    : `<div class="post-avatar-initials">${escapeHtml(initials)}</div>`;
   
   // Determine repost verb based on platform
   const repostVerb = post.platform === 'mastodon' ? 'Boosted' : 
                      post.platform === 'twitter' ? 'Retweeted' : 'Reposted';
   
+  // Cross-posted copies collapsed into this card
+  const copies = [post, ...(post.crosspostPosts || [])];
+  
+  // Sensitive posts stay covered until revealed
+  const covered = sensitivityAction(post) === 'blur' && !revealedPosts.has(post.key);
+  const textCovered = covered && !post.sensitivity.mediaOnly;
+  
+  // Rules that filtered this post (only shown while filtered posts are)
+  const filteredBy = filteredByRules(post);
+  
   return `
-    <div class="post-card" data-post-id="${post.id}">
+    <div class="post-card ${post.unread ? 'unread' : ''} ${filteredBy.length ? 'filtered' : ''}" data-post-id="${escapeHtml(post.id)}" data-post-key="${escapeHtml(post.key)}">
+      ${filteredBy.length ? `<div class="filtered-note">Filtered: ${escapeHtml(filteredBy.join(', '))}</div>` : ''}
       ${post.reposter ? `
         <div class="repost-indicator">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -226,6 +978,7 @@ function createPostHTML(post) {
           ${repostVerb} by ${escapeHtml(post.reposter)}
         </div>
       ` : ''}
+      ${post.inReplyTo ? replyContextHTML(post) : ''}
       <div class="post-header">
         <div class="post-avatar">
           ${avatarHTML}
@@ -234,54 +987,300 @@ function createPostHTML(post) {
           <div class="post-author">
             <span class="author-name">${escapeHtml(post.author.name)}</span>
             <span class="author-handle">@${escapeHtml(post.author.handle)}</span>
-            <span class="platform-badge ${post.platform}">
-              ${post.platform === 'twitter' ? '𝕏' : post.platform === 'bluesky' ? '🦋' : '🐘'} 
-              ${post.platform === 'twitter' ? 'X' : post.platform === 'bluesky' ? 'BlueSky' : 'Mastodon'}
-            </span>
+            ${copies.map(copy => platformBadgeHTML(copy.platform, copy.software)).join('')}
           </div>
-          <div class="post-timestamp">${timestamp}</div>
+          <div class="post-timestamp">${post.community ? `${escapeHtml(post.community)} · ` : ''}${timestamp}</div>
         </div>
+        ${postActionsHTML(post)}
       </div>
       
-      <div class="post-content">${escapeHtml(post.content)}</div>
+      ${post.sensitivity ? sensitivityHTML(post, textCovered) : ''}
       
-      ${post.images && post.images.length > 0 ? `
-        <div class="post-images">
-          ${post.images.map(img => `<img src="${img}" alt="Post image" loading="lazy">`).join('')}
-        </div>
-      ` : ''}
+      ${textCovered ? '' : `<div class="post-content">${escapeHtml(post.content)}</div>`}
       
-      <div class="post-engagement">
-        <div class="engagement-item">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
-          </svg>
-          <span>${formatNumber(post.engagement.replies)}</span>
+      ${post.media?.length ? mediaGridHTML(post.media, post.url, covered ? post.key : null) : ''}
+      
+      ${post.quoted ? quotedHTML(post.quoted) : ''}
+      
+      ${(post.links || []).filter(link => link.title).map(linkCardHTML).join('')}
+      
+      ${copies.length > 1 ? `
+        <div class="crosspost-list">
+          ${copies.map(copy => `
+            <div class="crosspost-link" data-open-url="${escapeHtml(copy.url)}" title="Open on ${escapeHtml(platformName(copy.platform))}">
+              ${platformBadgeHTML(copy.platform, copy.software)}
+              <div class="post-engagement">${engagementHTML(copy.engagement)}</div>
+            </div>
+          `).join('')}
         </div>
-        <div class="engagement-item">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M17 1l4 4-4 4M3 11V9a4 4 0 0 1 4-4h14M7 23l-4-4 4-4M21 13v2a4 4 0 0 1-4 4H3"/>
-          </svg>
-          <span>${formatNumber(post.engagement.retweets || post.engagement.reposts || post.engagement.boosts || 0)}</span>
+      ` : `
+        <div class="post-engagement">
+          ${engagementHTML(post.engagement)}
+          ${sparklineHTML(post.engagementHistory)}
         </div>
-        <div class="engagement-item">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
-          </svg>
-          <span>${formatNumber(post.engagement.likes || post.engagement.favorites || 0)}</span>
+      `}
+      
+      ${post.threadPosts?.length ? threadHTML(post) : ''}
+    </div>
+  `;
+}
+
+// "Replying to @x" context, for replies whose parent was never captured
+function replyContextHTML(post) {
+  const target = post.inReplyTo.handle ? `@${post.inReplyTo.handle}` : post.inReplyTo.name || 'a post';
+  return `<div class="reply-context">Replying to ${escapeHtml(target)}</div>`;
+}
+
+// Bookmark button and "add to collection" menu
+function postActionsHTML(post) {
+  const memberOf = post.collections || [];
+  const named = collectionList.filter(collection => collection.id !== 'bookmarks');
+  const key = escapeHtml(post.key);
+  
+  return `
+    <div class="post-actions">
+      <button class="btn-icon ${memberOf.includes('bookmarks') ? 'active' : ''}" data-bookmark="${key}" title="Bookmark">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="${memberOf.includes('bookmarks') ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+          <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+        </svg>
+      </button>
+      ${named.length ? `
+        <details class="collection-menu">
+          <summary class="btn-icon" title="Add to collection">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+            </svg>
+          </summary>
+          <div class="collection-menu-items">
+            ${named.map(collection => `
+              <label>
+                <input type="checkbox" data-key="${key}" data-collection="${escapeHtml(collection.id)}"
+                       ${memberOf.includes(collection.id) ? 'checked' : ''}>
+                ${escapeHtml(collection.name)}
+              </label>
+            `).join('')}
+          </div>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Content warning summary and labels, with a reveal button while covered
+function sensitivityHTML(post, covered) {
+  const { labels, summary } = post.sensitivity;
+  return `
+    <div class="sensitivity ${covered ? 'covered' : ''}">
+      ${summary ? `<span class="sensitivity-summary">${escapeHtml(summary)}</span>` : ''}
+      ${labels.map(label => `<span class="sensitivity-chip">${escapeHtml(SENSITIVITY_LABELS[label] || label)}</span>`).join('')}
+      ${covered ? `<button class="sensitivity-reveal" data-reveal="${escapeHtml(post.key)}">Show post</button>` : ''}
+    </div>
+  `;
+}
+
+// Grid of attachments with play overlays, duration and alt-text badges.
+// `blurKey` blurs the grid until the post with that key is revealed.
+function mediaGridHTML(media, postUrl, blurKey = null) {
+  return `
+    <div class="media-grid media-count-${Math.min(media.length, 4)} ${blurKey ? 'blurred' : ''}">
+      ${blurKey ? `<button class="media-reveal" data-reveal="${escapeHtml(blurKey)}">Show sensitive media</button>` : ''}
+      ${media.map(item => `
+        <div class="media-item media-${item.type}" data-media="${encodeURIComponent(JSON.stringify(item))}" data-post-url="${escapeHtml(postUrl || '')}">
+          ${item.thumbnail
+            ? `<img src="${escapeHtml(item.thumbnail)}" alt="${escapeHtml(item.alt || '')}" loading="lazy">`
+            : `<div class="media-placeholder">${item.type === 'audio' ? '♪' : ''}</div>`}
+          ${item.type !== 'image' ? '<span class="media-play">▶</span>' : ''}
+          ${item.type === 'gif' ? '<span class="media-badge">GIF</span>' : ''}
+          ${item.duration ? `<span class="media-badge">${formatDuration(item.duration)}</span>` : ''}
+          ${item.alt
+            ? `<span class="media-alt-badge" title="${escapeHtml(item.alt)}">ALT</span>`
+            : '<span class="media-alt-badge missing" title="No alt text">NO ALT</span>'}
         </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Show one attachment full size. Videos that only stream inside the
+// platform's own page fall back to their poster and a link to the post.
+function openLightbox(item, postUrl) {
+  const lightbox = document.getElementById('lightbox');
+  const content = lightbox.querySelector('.lightbox-content');
+  const source = escapeHtml(item.url || '');
+  const poster = escapeHtml(item.thumbnail || '');
+  
+  if (item.type === 'image') {
+    content.innerHTML = `<img src="${source || poster}" alt="${escapeHtml(item.alt || '')}">`;
+  } else if (item.url && item.type === 'audio') {
+    content.innerHTML = `
+      ${poster ? `<img src="${poster}" alt="">` : ''}
+      <audio src="${source}" controls autoplay></audio>
+    `;
+  } else if (item.url) {
+    content.innerHTML = `<video src="${source}" poster="${poster}" controls autoplay ${item.type === 'gif' ? 'loop muted' : ''}></video>`;
+  } else {
+    content.innerHTML = `
+      ${poster ? `<img src="${poster}" alt="${escapeHtml(item.alt || '')}">` : ''}
+      <button class="btn btn-primary" data-open-url="${escapeHtml(postUrl || '')}">Play on the original post</button>
+    `;
+    content.querySelector('[data-open-url]').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_POST', url: postUrl });
+      closeLightbox();
+    });
+  }
+  
+  lightbox.querySelector('.lightbox-alt').textContent = item.alt || 'No alt text';
+  lightbox.style.display = 'flex';
+}
+
+function closeLightbox() {
+  const lightbox = document.getElementById('lightbox');
+  lightbox.style.display = 'none';
+  // Stop any playing video or audio
+  lightbox.querySelector('.lightbox-content').innerHTML = '';
+}
+
+// Preview card for a shared link
+function linkCardHTML(link) {
+  return `
+    <div class="link-card" data-open-url="${escapeHtml(link.url)}" title="${escapeHtml(link.url)}">
+      ${link.thumbnail ? `<img class="link-thumbnail" src="${escapeHtml(link.thumbnail)}" alt="" loading="lazy">` : ''}
+      <div class="link-details">
+        <div class="link-domain">${escapeHtml(link.domain || '')}</div>
+        <div class="link-title">${escapeHtml(link.title || link.url)}</div>
+        ${link.description ? `<div class="link-description">${escapeHtml(link.description)}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Embedded card for a quoted post (only the URL is known for some Mastodon quotes)
+function quotedHTML(quoted) {
+  const openAttr = quoted.url ? `data-open-url="${escapeHtml(quoted.url)}"` : '';
+  
+  if (!quoted.author?.handle && !quoted.content) {
+    return `<div class="quoted-post" ${openAttr}><div class="quoted-content">Quoted post</div></div>`;
+  }
+  
+  return `
+    <div class="quoted-post" ${openAttr}>
+      <div class="post-author">
+        ${quoted.author.avatar ? `<img class="quoted-avatar" src="${escapeHtml(quoted.author.avatar)}" alt="">` : ''}
+        <span class="author-name">${escapeHtml(quoted.author.name)}</span>
+        <span class="author-handle">@${escapeHtml(quoted.author.handle)}</span>
+        ${quoted.timestamp ? `<span class="post-timestamp">${formatTimestamp(quoted.timestamp)}</span>` : ''}
       </div>
+      <div class="quoted-content">${escapeHtml(quoted.content)}</div>
+      ${quoted.media?.length ? mediaGridHTML(quoted.media, quoted.url) : ''}
+    </div>
+  `;
+}
+
+// Collapsible list of the replies in a card's thread, oldest first. Threads
+// with replies matching the search start open.
+function threadHTML(post) {
+  const matched = new Set(post.matchedReplies || []);
+  const expanded = expandedThreads.has(post.key) !== matched.size > 0;
+  const threadIds = new Set([post, ...post.threadPosts].map(p => String(p.id)));
+  const count = post.threadPosts.length;
+  
+  return `
+    <div class="thread">
+      <button class="thread-toggle" data-thread="${escapeHtml(post.key)}">
+        ${expanded ? 'Hide thread' : `Show thread · ${count} ${count === 1 ? 'reply' : 'replies'}`}
+      </button>
+      ${expanded ? `
+        <div class="thread-replies">
+          ${post.threadPosts.map(reply => `
+            <div class="thread-reply ${matched.has(reply.key) ? 'search-match' : ''}" data-open-url="${escapeHtml(reply.url)}">
+              ${reply.inReplyTo && !threadIds.has(String(reply.inReplyTo.id)) ? replyContextHTML(reply) : ''}
+              <div class="post-author">
+                <span class="author-name">${escapeHtml(reply.author.name)}</span>
+                <span class="author-handle">@${escapeHtml(reply.author.handle)}</span>
+                <span class="post-timestamp">${formatTimestamp(reply.timestamp || reply.scrapedAt)}</span>
+              </div>
+              <div class="post-content">${escapeHtml(reply.content)}</div>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Platform badge shown next to the author; fediverse posts name the
+// server software they came from
+function platformBadgeHTML(platform, software = null) {
+  const name = software ? SOFTWARE_NAMES[software] || software : platformName(platform);
+  return `
+    <span class="platform-badge ${escapeHtml(platform)}" title="${escapeHtml(platformName(platform))}">
+      ${platformIcon(platform)} 
+      ${escapeHtml(name)}
+    </span>
+  `;
+}
+
+// Small line chart of combined engagement over the recorded readings
+function sparklineHTML(history = []) {
+  if (history.length < 2) return '';
+  
+  const width = 80;
+  const height = 20;
+  const start = history[0].at;
+  const span = history[history.length - 1].at - start || 1;
+  const totals = history.map(snapshot => snapshot.replies + snapshot.reposts + snapshot.likes);
+  const min = Math.min(...totals);
+  const range = Math.max(...totals) - min || 1;
+  const points = history.map((snapshot, index) =>
+    `${((snapshot.at - start) / span * width).toFixed(1)},${(height - 1 - (totals[index] - min) / range * (height - 2)).toFixed(1)}`
+  ).join(' ');
+  const growth = totals[totals.length - 1] - totals[0];
+  
+  return `
+    <svg class="engagement-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+      <title>${growth >= 0 ? '+' : ''}${escapeHtml(formatNumber(growth))} over ${history.length} readings</title>
+      <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+    </svg>
+  `;
+}
+
+// Reply, repost and like counts
+function engagementHTML(engagement) {
+  return `
+    <div class="engagement-item">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+      </svg>
+      <span>${escapeHtml(formatNumber(engagement.replies || 0))}</span>
+    </div>
+    <div class="engagement-item">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M17 1l4 4-4 4M3 11V9a4 4 0 0 1 4-4h14M7 23l-4-4 4-4M21 13v2a4 4 0 0 1-4 4H3"/>
+      </svg>
+      <span>${escapeHtml(formatNumber(engagement.retweets || engagement.reposts || engagement.boosts || 0))}</span>
+    </div>
+    <div class="engagement-item">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+      </svg>
+      <span>${escapeHtml(formatNumber(engagement.likes || engagement.favorites || 0))}</span>
     </div>
   `;
 }
 
 // Update stats
 function updateStats() {
-  document.getElementById('postCount').textContent = `${allPosts.length} ${allPosts.length === 1 ? 'post' : 'posts'}`;
+  const { posts, tabs } = feedStats;
+  document.getElementById('postCount').textContent = `${posts} ${posts === 1 ? 'post' : 'posts'}`;
   
-  // Get unique tab count
-  const uniqueTabs = new Set(allPosts.map(p => p.sourceTabId)).size;
-  document.getElementById('tabCount').textContent = `${uniqueTabs} ${uniqueTabs === 1 ? 'tab' : 'tabs'}`;
+  // Monitored tab count
+  document.getElementById('tabCount').textContent = `${tabs} ${tabs === 1 ? 'tab' : 'tabs'}`;
+  
+  // Unread counts on the platform filter buttons
+  document.querySelectorAll('[data-unread-platform]').forEach(badge => {
+    const count = feedStats.unread?.[badge.dataset.unreadPlatform] || 0;
+    badge.textContent = count > 0 ? formatNumber(count) : '';
+  });
 }
 
 // Helper functions
@@ -303,14 +1302,45 @@ function formatTimestamp(timestamp) {
   return date.toLocaleDateString();
 }
 
+const PLATFORM_ICONS = { twitter: '𝕏', bluesky: '🦋', mastodon: '🐘', threads: '🧵', reddit: '👽' };
+const PLATFORM_NAMES = { twitter: 'X', bluesky: 'BlueSky', mastodon: 'Fediverse', threads: 'Threads', reddit: 'Reddit' };
+
+// Fediverse server software (NodeInfo names) as shown on badges
+const SOFTWARE_NAMES = {
+  mastodon: 'Mastodon', hometown: 'Hometown', glitchsoc: 'Glitch',
+  misskey: 'Misskey', sharkey: 'Sharkey', firefish: 'Firefish', iceshrimp: 'Iceshrimp',
+  cherrypick: 'CherryPick', foundkey: 'FoundKey', calckey: 'Calckey',
+  pleroma: 'Pleroma', akkoma: 'Akkoma', gotosocial: 'GoToSocial'
+};
+
+function platformIcon(platform) {
+  return PLATFORM_ICONS[platform] || '🐘';
+}
+
+function platformName(platform) {
+  return PLATFORM_NAMES[platform] || 'Fediverse';
+}
+
+// Seconds as m:ss (or h:mm:ss)
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
 function formatNumber(num) {
   if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
   if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
   return num.toString();
 }
 
+// Escapes quotes too, so the result is safe inside attribute values
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
@@ -0,0 +1,301 @@
+// options.js
+'use strict';
+
+let currentSettings = normalizeSettings();
+let statusTimeout = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  renderSensitivityOptions();
+  renderSettings(await loadSettings());
+
+  // Every control saves as soon as it changes
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', () => saveSetting(input));
+  });
+
+  // Changes made from the feed sidebar
+  onSettingsChanged(renderSettings);
+
+  setupInstanceForm();
+  await loadInstances();
+
+  setupMastodonApiForm();
+  await loadMastodonApi();
+
+  setupWatchForm();
+  await loadWatchRules();
+});
+
+// One select per sensitivity label, keyed like the other controls
+function renderSensitivityOptions() {
+  document.getElementById('sensitivityOptions').innerHTML = Object.entries(SENSITIVITY_LABELS).map(([label, name]) => `
+    <label class="option-row">
+      <span>${name}</span>
+      <select data-setting="sensitivity.${label}">
+        <option value="show">Show</option>
+        <option value="blur">Blur</option>
+        <option value="hide">Hide</option>
+      </select>
+    </label>
+  `).join('');
+}
+
+// Fill every control from the settings
+function renderSettings(settings) {
+  currentSettings = settings;
+
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    const [key, field] = input.dataset.setting.split('.');
+    let value = field ? settings[key][field] : settings[key];
+    if (key === 'sensitivity') {
+      value = value || 'blur';
+    }
+
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+}
+
+// Store the value of one control
+async function saveSetting(input) {
+  const [key, field] = input.dataset.setting.split('.');
+  let value = input.type === 'checkbox' ? input.checked : input.value;
+  if (input.type === 'number') {
+    value = Number(value);
+  }
+
+  const saved = await saveSettings({
+    [key]: field ? { ...currentSettings[key], [field]: value } : value
+  });
+  // Show the stored value, e.g. a number clamped to its range
+  renderSettings(saved);
+  showStatus('Saved');
+}
+
+// Adding an instance asks for access to it first; the request needs the
+// click, so it can't wait for the background to check the server
+function setupInstanceForm() {
+  document.getElementById('instanceForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('instanceHost');
+    const error = document.getElementById('instanceError');
+    const host = instanceHost(input.value);
+    if (!host) {
+      error.textContent = `Not a server address: ${input.value}`;
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`https://${host}/*`] });
+    if (!granted) {
+      error.textContent = `Access to ${host} was not granted`;
+      return;
+    }
+
+    error.textContent = `Checking ${host}...`;
+    const response = await chrome.runtime.sendMessage({ type: 'ADD_INSTANCE', host });
+    error.textContent = response.success ? '' : response.error;
+    if (response.success) {
+      input.value = '';
+      await loadInstances();
+    }
+  });
+}
+
+// Host from "tech.lgbt", "https://tech.lgbt/home", ..., or null
+function instanceHost(value) {
+  value = value.trim().toLowerCase();
+  try {
+    return new URL(/^[a-z]+:\/\//.test(value) ? value : `https://${value}`).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Load and list the added instances
+async function loadInstances() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_INSTANCES' });
+  const list = document.getElementById('instanceList');
+
+  list.innerHTML = response.instances.map(instance => `
+    <li class="watch-rule">
+      <span>${escapeHtml(instance.host)} <small>${escapeHtml(instance.software)}</small></span>
+      <button class="watch-remove" data-host="${escapeHtml(instance.host)}" title="Stop collecting">&times;</button>
+    </li>
+  `).join('') || '<li class="watch-empty">No instances added</li>';
+
+  list.querySelectorAll('.watch-remove').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_INSTANCE', host: btn.dataset.host });
+      await loadInstances();
+    });
+  });
+}
+
+// Mastodon API form. Saving asks for access to the server when syncing
+// is switched on, the request needs the click.
+function setupMastodonApiForm() {
+  const error = document.getElementById('mastodonApiError');
+
+  document.getElementById('mastodonApiForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const config = {
+      enabled: document.getElementById('mastodonApiEnabled').checked,
+      server: document.getElementById('mastodonApiServer').value,
+      token: document.getElementById('mastodonApiToken').value,
+      timelines: document.getElementById('mastodonApiTimelines').value,
+      intervalMinutes: document.getElementById('mastodonApiInterval').value
+    };
+
+    const url = serverUrl(config.server);
+    if (config.enabled && url) {
+      // Match patterns leave the port out (a local mock server has one)
+      const granted = await chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+      if (!granted) {
+        error.textContent = `Access to ${url.host} was not granted`;
+        return;
+      }
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_MASTODON_API', config });
+    error.textContent = response.success ? '' : response.error;
+    if (response.success) {
+      renderMastodonApi(response);
+      showStatus('Saved');
+    }
+  });
+
+  document.getElementById('mastodonApiSyncBtn').addEventListener('click', async () => {
+    document.getElementById('mastodonApiStatus').textContent = 'Syncing...';
+    const response = await chrome.runtime.sendMessage({ type: 'SYNC_MASTODON_API' });
+    error.textContent = response.success ? '' : response.error;
+    if (response.success) {
+      renderMastodonApi(response);
+    } else {
+      document.getElementById('mastodonApiStatus').textContent = '';
+    }
+  });
+}
+
+// URL of "tech.lgbt", "https://tech.lgbt/home", ..., or null
+function serverUrl(value) {
+  value = value.trim();
+  try {
+    return new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadMastodonApi() {
+  renderMastodonApi(await chrome.runtime.sendMessage({ type: 'GET_MASTODON_API' }));
+}
+
+// Fill the form (the token is never sent back) and show the last sync
+function renderMastodonApi({ config, lastSyncAt, lastError }) {
+  document.getElementById('mastodonApiEnabled').checked = config.enabled;
+  document.getElementById('mastodonApiServer').value = config.server;
+  document.getElementById('mastodonApiToken').value = '';
+  document.getElementById('mastodonApiToken').placeholder = config.hasToken ? 'Unchanged' : '';
+  document.getElementById('mastodonApiTokenHint').textContent = config.hasToken ? 'Set, leave blank to keep it' : 'Not set';
+  document.getElementById('mastodonApiTimelines').value = config.timelines
+    .map(timeline => timeline.startsWith('tag:') ? `#${timeline.slice(4)}` : timeline)
+    .join(', ');
+  document.getElementById('mastodonApiInterval').value = config.intervalMinutes;
+
+  const status = lastSyncAt ? `Last synced ${new Date(lastSyncAt).toLocaleString()}` : 'Never synced';
+  document.getElementById('mastodonApiStatus').textContent = status;
+  document.getElementById('mastodonApiError').textContent = lastError || '';
+}
+
+// Watch rule form, fields follow the rule type
+function setupWatchForm() {
+  const type = document.getElementById('watchType');
+  type.addEventListener('change', updateWatchForm);
+  updateWatchForm();
+
+  document.getElementById('watchForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_WATCH_RULE',
+      rule: {
+        type: type.value,
+        value: document.getElementById('watchValue').value,
+        metric: document.getElementById('watchMetric').value,
+        threshold: document.getElementById('watchThreshold').value,
+        watchedOnly: document.getElementById('watchWatchedOnly').checked,
+        platform: document.getElementById('watchPlatform').value
+      }
+    });
+    document.getElementById('watchError').textContent = response.success ? '' : response.error;
+    if (response.success) {
+      document.getElementById('watchValue').value = '';
+      document.getElementById('watchThreshold').value = '';
+      await loadWatchRules();
+    }
+  });
+}
+
+function updateWatchForm() {
+  const type = document.getElementById('watchType').value;
+  const engagement = type === 'engagement';
+  document.getElementById('watchValue').hidden = engagement;
+  document.getElementById('watchValue').placeholder =
+    { author: '@handle', keyword: 'Word or phrase', hashtag: '#hashtag' }[type] || '';
+  document.getElementById('watchMetric').hidden = !engagement;
+  document.getElementById('watchThreshold').hidden = !engagement;
+  document.getElementById('watchWatchedOnlyLabel').hidden = !engagement;
+}
+
+// Load and list the watch rules
+async function loadWatchRules() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_WATCH_RULES' });
+  const list = document.getElementById('watchList');
+
+  list.innerHTML = response.rules.map(rule => `
+    <li class="watch-rule">
+      <span>${escapeHtml(describeWatchRule(rule))}</span>
+      <button class="watch-remove" data-id="${escapeHtml(rule.id)}" title="Stop watching">&times;</button>
+    </li>
+  `).join('') || '<li class="watch-empty">No watch rules yet</li>';
+
+  list.querySelectorAll('.watch-remove').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_WATCH_RULE', id: btn.dataset.id });
+      await loadWatchRules();
+    });
+  });
+}
+
+// How a watch rule reads in the list
+function describeWatchRule(rule) {
+  const platform = rule.platform && rule.platform !== 'all' ? ` on ${rule.platform}` : '';
+  switch (rule.type) {
+    case 'author': return `Posts by @${rule.value.replace(/^@/, '')}${platform}`;
+    case 'keyword': return `Posts mentioning "${rule.value}"${platform}`;
+    case 'hashtag': return `Posts tagged #${rule.value}${platform}`;
+    case 'engagement':
+      return `Posts over ${rule.threshold} ${rule.metric}${rule.watchedOnly ? ' from watched authors' : ''}${platform}`;
+  }
+  return rule.type;
+}
+
+// Escapes quotes too, so the result is safe inside attribute values
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function showStatus(text) {
+  const status = document.getElementById('saveStatus');
+  status.textContent = text;
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => status.textContent = '', 2000);
+}
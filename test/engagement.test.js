@@ -0,0 +1,78 @@
+// engagement.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers');
+
+const engagement = loadScripts(['engagement.js']);
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+function reading(hoursAgo, likes, reposts = 0, replies = 0) {
+  return { at: NOW - hoursAgo * HOUR, replies, reposts, likes };
+}
+
+test('reads counts whatever the platform calls them', () => {
+  assert.strictEqual(engagement.engagementCount({ engagement: { favorites: 4 } }, 'likes'), 4);
+  assert.strictEqual(engagement.engagementCount({ engagement: { boosts: 2 } }, 'reposts'), 2);
+  assert.strictEqual(engagement.engagementCount({ engagement: { retweets: 3 } }, 'reposts'), 3);
+  assert.strictEqual(engagement.engagementCount({}, 'replies'), 0);
+});
+
+test('merges readings in time order and keeps each change once', () => {
+  const stored = [reading(3, 1), reading(2, 5)];
+  const imported = [reading(4, 0), reading(2.5, 1)];
+  const post = { scrapedAt: NOW, engagement: { likes: 5 }, engagementHistory: imported };
+
+  assert.deepStrictEqual(plain(engagement.mergeEngagementHistory(stored, post)), [reading(4, 0), reading(3, 1), reading(2, 5)]);
+
+  const grown = { scrapedAt: NOW, engagement: { likes: 9, replies: 1 } };
+  assert.deepStrictEqual(plain(engagement.mergeEngagementHistory(stored, grown)), [reading(3, 1), reading(2, 5), reading(0, 9, 0, 1)]);
+});
+
+test('caps the history at the newest readings', () => {
+  const history = Array.from({ length: 150 }, (_, index) => reading(150 - index, index));
+  const merged = engagement.mergeEngagementHistory(history, {});
+  assert.strictEqual(merged.length, 100);
+  assert.strictEqual(merged[merged.length - 1].likes, 149);
+});
+
+test('velocity is growth per hour over the trending window', () => {
+  // 60 likes over the last two hours
+  const post = { timestamp: NOW - 10 * HOUR, engagementHistory: [reading(5, 10), reading(2, 40), reading(0, 100)] };
+  assert.strictEqual(engagement.engagementVelocity(post, NOW), 30);
+
+  // Stopped growing an hour ago: measured up to now, so it cools down
+  const stalled = { timestamp: NOW - 10 * HOUR, engagementHistory: [reading(3, 40), reading(1, 100)] };
+  assert.strictEqual(engagement.engagementVelocity(stalled, NOW), 20);
+});
+
+test('velocity counts from zero at publishing and ignores tiny spans', () => {
+  // First seen an hour after publishing with 50 likes
+  const late = { timestamp: NOW - 1 * HOUR, engagementHistory: [reading(0, 50)] };
+  assert.strictEqual(engagement.engagementVelocity(late, NOW), 50);
+
+  // Seen twice a minute apart: divided by the minimum span, not a minute
+  const quick = { engagementHistory: [reading(1 / 60, 0), reading(0, 5)] };
+  assert.strictEqual(engagement.engagementVelocity(quick, NOW), 20);
+
+  assert.strictEqual(engagement.engagementVelocity({}, NOW), 0);
+});
+
+test('ranks posts against their platform and author baselines', () => {
+  const weights = { replies: 1, reposts: 1, likes: 1, halfLifeHours: 0 };
+  const posts = [
+    ...[1, 2, 3].map(n => ({ key: `twitter:${n}`, platform: 'twitter', authorKey: `twitter:a${n}`, engagement: { likes: 100 } })),
+    ...[1, 2, 3].map(n => ({ key: `mastodon:${n}`, platform: 'mastodon', authorKey: `mastodon:a${n}`, engagement: { likes: n === 1 ? 30 : 2 } }))
+  ];
+  const scores = engagement.rankByEngagement(posts, weights, NOW);
+  assert.ok(scores.get('mastodon:1') > scores.get('twitter:1'));
+  // Ordinary posts score alike wherever they are
+  assert.strictEqual(scores.get('twitter:1'), 1);
+  assert.strictEqual(scores.get('mastodon:2'), 1);
+
+  const decayed = engagement.rankByEngagement([{ ...posts[0], timestamp: NOW - 24 * HOUR }], { ...weights, halfLifeHours: 24 }, NOW);
+  assert.strictEqual(decayed.get('twitter:1'), 0.5);
+});
@@ -0,0 +1,49 @@
+// helpers.js
+// Loads the extension's plain scripts into a sandbox, the way the background
+// service worker's importScripts does, so their functions can be tested with
+// `node --test test/*.test.js`
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'chrome', 'js');
+
+// chrome.* with an in-memory storage.local, enough for the loaders
+function stubChrome(store = {}) {
+  return {
+    storage: {
+      local: {
+        get: async keys => Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]])),
+        set: async values => { Object.assign(store, values); },
+        remove: async keys => { [].concat(keys).forEach(key => delete store[key]); }
+      }
+    },
+    runtime: { getManifest: () => JSON.parse(fs.readFileSync(path.join(JS_DIR, '..', 'manifest.json'), 'utf8')) }
+  };
+}
+
+// Run `files` (in chrome/js) in one fresh context. Returns the context, whose
+// properties are the scripts' functions; `globals` are added to it first.
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    setTimeout,
+    clearTimeout,
+    chrome: stubChrome(),
+    ...globals
+  });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+// A value from the sandbox as plain data of this realm, for deepStrictEqual
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, stubChrome, plain };
@@ -0,0 +1,115 @@
+// import.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers');
+
+const importer = loadScripts(['settings.js', 'import.js'], { console: { ...console, warn: () => {} } });
+
+function exported(fields = {}) {
+  return {
+    platform: 'mastodon',
+    id: '109',
+    url: 'https://tech.lgbt/@kim/109',
+    author: { name: 'Kim', handle: '@kim@tech.lgbt' },
+    content: 'Hello',
+    scrapedAt: 1000,
+    ...fields
+  };
+}
+
+function parse(posts) {
+  return importer.parseImport(JSON.stringify({ posts }));
+}
+
+test('rejects files that are not exports', () => {
+  assert.throws(() => importer.parseImport('{'), /not valid JSON/);
+  assert.throws(() => importer.parseImport('{"feed": []}'), /not a feed export/);
+  assert.strictEqual(importer.parseImport(JSON.stringify([exported()])).posts.length, 1);
+});
+
+test('rejects posts missing what the archive needs', () => {
+  const { posts, rejected } = parse([
+    exported(),
+    exported({ platform: 'myspace' }),
+    exported({ id: ' ' }),
+    exported({ url: 'javascript:alert(1)' }),
+    exported({ author: 'Kim' }),
+    exported({ timestamp: 'yesterday' }),
+    exported({ media: {} }),
+    exported({ engagementHistory: [{ likes: 1 }] })
+  ]);
+  assert.strictEqual(posts.length, 1);
+  assert.strictEqual(rejected, 7);
+});
+
+test('rejects counts that are not numbers', () => {
+  const { posts, rejected } = parse([
+    exported({ engagement: { likes: 3, views: null } }),
+    exported({ engagement: { likes: '<img src=x onerror=alert(1)>' } }),
+    exported({ engagementHistory: [{ at: 1000, likes: '2' }] })
+  ]);
+  assert.strictEqual(posts.length, 1);
+  assert.strictEqual(rejected, 2);
+
+  const [post] = parse([exported({ media: [
+    { type: 'image', url: 'https://files.example/a.png', width: 10, height: 20 },
+    { type: 'video', url: 'https://files.example/a.mp4', duration: '<b>3</b>' }
+  ] })]).posts;
+  assert.strictEqual(post.media.length, 1);
+  assert.strictEqual(post.media[0].width, 10);
+});
+
+test('drops fields tied to the exporting archive and stamps the import time', () => {
+  const before = Date.now();
+  const [post] = parse([exported({ key: 'x', authorKey: 'y', threadKey: 'z', sourceTabId: 3, collections: ['bookmarks'], unread: 1 })]).posts;
+  assert.strictEqual(post.key, undefined);
+  assert.strictEqual(post.authorKey, undefined);
+  assert.strictEqual(post.threadKey, undefined);
+  assert.strictEqual(post.sourceTabId, undefined);
+  assert.strictEqual(post.collections, undefined);
+  assert.strictEqual(post.unread, undefined);
+  assert.strictEqual(post.scrapedAt, 1000);
+  assert.ok(post.importedAt >= before);
+});
+
+test('keeps when a post was read', () => {
+  const [read, unread] = parse([exported({ readAt: 2000 }), exported({ id: '110', unread: 1 })]).posts;
+  assert.strictEqual(read.readAt, 2000);
+  assert.strictEqual(unread.unread, undefined);
+  assert.strictEqual(unread.readAt, undefined);
+});
+
+test('drops malformed optional fields instead of the post', () => {
+  const [post] = parse([exported({
+    author: { handle: 'kim', avatar: 5 },
+    sensitivity: {},
+    inReplyTo: 'someone',
+    quoted: { content: 'quoted without an author' },
+    media: [
+      { type: 'image', url: 'https://files.example/a.png', alt: null },
+      { type: 'hologram', url: 'https://files.example/b' },
+      { type: 'video' },
+      'https://files.example/c.png'
+    ],
+    links: [{ url: 'https://example.com', title: 'Example' }, { title: 'no url' }]
+  })]).posts;
+
+  assert.deepStrictEqual(plain(post.author), { handle: 'kim', name: 'kim' });
+  assert.strictEqual(post.sensitivity, undefined);
+  assert.strictEqual(post.inReplyTo, undefined);
+  assert.strictEqual(post.quoted, undefined);
+  assert.deepStrictEqual(plain(post.media), [{ type: 'image', url: 'https://files.example/a.png', alt: null }]);
+  assert.deepStrictEqual(plain(post.links), [{ url: 'https://example.com', title: 'Example' }]);
+});
+
+test('keeps well-formed optional fields', () => {
+  const fields = {
+    sensitivity: { labels: ['nudity'], summary: null, mediaOnly: true },
+    inReplyTo: { id: '100', handle: 'alex' },
+    quoted: { author: { name: 'Alex', handle: 'alex' }, content: 'Original', url: 'https://tech.lgbt/@alex/100', media: [] }
+  };
+  const [post] = parse([exported(fields)]).posts;
+  assert.deepStrictEqual(plain({ sensitivity: post.sensitivity, inReplyTo: post.inReplyTo, quoted: post.quoted }), fields);
+});
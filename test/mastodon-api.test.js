@@ -0,0 +1,111 @@
+// mastodon-api.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, stubChrome, plain } = require('./helpers');
+const { startMockMastodon, mockStatus } = require('./mastodon-mock-server');
+
+const store = {};
+const api = loadScripts(['mastodon-api.js'], { fetch, chrome: stubChrome(store) });
+
+let mock;
+test.before(async () => {
+  mock = await startMockMastodon({ statuses: Array.from({ length: 120 }, (_, n) => mockStatus(n)) });
+  await api.saveMastodonApiConfig({ enabled: true, server: mock.url, token: mock.token, timelines: 'home, list:42, #Rust' });
+});
+test.after(() => mock.close());
+
+function cursors() {
+  return plain(store.mastodonApiState.cursors);
+}
+
+test('parses servers and timelines', () => {
+  assert.strictEqual(api.normalizeMastodonServer('tech.lgbt/home'), 'https://tech.lgbt');
+  assert.strictEqual(api.normalizeMastodonServer('http://localhost:3000'), 'http://localhost:3000');
+  assert.throws(() => api.normalizeMastodonServer('http://tech.lgbt'), /must use https/);
+  assert.deepStrictEqual(plain(api.parseMastodonTimelines('home, list:42 #Rust tag:rust')), ['home', 'list:42', 'tag:rust']);
+  assert.throws(() => api.parseMastodonTimelines('home, local'), /Unknown timeline: local/);
+});
+
+test('maps statuses to posts', () => {
+  const boost = mockStatus(200, {
+    account: { username: 'cat', acct: 'cat', display_name: 'Cat' },
+    reblog: mockStatus(7, {
+      content: '<p>Fish &amp; chips<br>tonight <a href="https://www.example.com/menu?a=1&amp;b=2">menu</a> ' +
+               '<a href="https://exa mple.com/">broken</a> <a href="https://tech.lgbt/@kim" class="u-url mention">@kim</a></p>',
+      spoiler_text: 'food',
+      in_reply_to_id: '99',
+      in_reply_to_account_id: '5',
+      mentions: [{ id: '5', acct: 'kim@tech.lgbt' }],
+      media_attachments: [{ type: 'gifv', url: 'https://files.example/a.mp4', preview_url: 'https://files.example/a.png', description: 'Cat', meta: { original: { width: 10, height: 20, duration: 3.4 } } }],
+      card: { url: 'not a url', title: 'Broken card' }
+    })
+  });
+
+  const post = api.mastodonStatusToPost(boost);
+  assert.strictEqual(post.id, '100007');
+  assert.strictEqual(post.url, `${mock.url}/@bob@other.example/100007`);
+  assert.strictEqual(post.instance, mock.url.replace('http://', ''));
+  assert.strictEqual(post.reposter, 'Cat');
+  assert.deepStrictEqual(plain(post.author), { name: 'bob', handle: 'bob@other.example', avatar: 'https://files.example/bob.png' });
+  assert.strictEqual(post.content, 'Fish & chips\ntonight menu broken @kim');
+  assert.deepStrictEqual(plain(post.engagement), { replies: 0, boosts: 0, favorites: 7 });
+  assert.deepStrictEqual(plain(post.inReplyTo), { id: '99', handle: 'kim@tech.lgbt' });
+  assert.deepStrictEqual(plain(post.sensitivity), { labels: ['content-warning'], summary: 'food', mediaOnly: false });
+  assert.deepStrictEqual(plain(post.media), [{ type: 'gif', url: 'https://files.example/a.mp4', thumbnail: 'https://files.example/a.png', width: 10, height: 20, alt: 'Cat', duration: 3 }]);
+  assert.deepStrictEqual(plain(post.links), [{ url: 'https://www.example.com/menu?a=1&b=2', title: null, description: null, domain: 'example.com', thumbnail: null }]);
+});
+
+test('first sync reads the newest page of each timeline', async () => {
+  const ingested = [];
+  const result = await api.syncMastodonApi(async posts => { ingested.push(...posts); });
+
+  assert.deepStrictEqual(plain(result), { received: 120, errors: [] });
+  assert.deepStrictEqual(plain(mock.requests), [
+    '/api/v1/timelines/home?limit=40',
+    '/api/v1/timelines/list/42?limit=40',
+    '/api/v1/timelines/tag/rust?limit=40'
+  ]);
+  assert.deepStrictEqual(cursors(), { home: '100119', 'list:42': '100118', 'tag:rust': '100117' });
+  assert.ok(ingested.every(post => post.platform === 'mastodon'));
+});
+
+test('later syncs page back to the cursor', async () => {
+  mock.post(Array.from({ length: 100 }, (_, n) => mockStatus(120 + n)));
+  mock.requests.length = 0;
+
+  const result = await api.syncMastodonApi(async () => {});
+  // 100 new on home, the 50 even ones on the list, 34 tagged
+  assert.deepStrictEqual(plain(result), { received: 184, errors: [] });
+  assert.deepStrictEqual(plain(mock.requests), [
+    '/api/v1/timelines/home?since_id=100119&limit=40',
+    '/api/v1/timelines/home?since_id=100119&max_id=100180&limit=40',
+    '/api/v1/timelines/home?since_id=100119&max_id=100140&limit=40',
+    '/api/v1/timelines/list/42?since_id=100118&limit=40',
+    '/api/v1/timelines/list/42?since_id=100118&max_id=100140&limit=40',
+    '/api/v1/timelines/tag/rust?since_id=100117&limit=40'
+  ]);
+  assert.deepStrictEqual(cursors(), { home: '100219', 'list:42': '100218', 'tag:rust': '100219' });
+});
+
+test('a failed ingest keeps the cursor so the posts are read again', async () => {
+  // On home and the list, neither is tagged
+  mock.post([mockStatus(220), mockStatus(224)]);
+
+  const failed = await api.syncMastodonApi(async () => { throw new Error('The archive is unavailable'); });
+  assert.strictEqual(failed.received, 0);
+  assert.strictEqual(store.mastodonApiState.lastError, 'home: The archive is unavailable; list:42: The archive is unavailable');
+  assert.deepStrictEqual(cursors(), { home: '100219', 'list:42': '100218', 'tag:rust': '100219' });
+
+  const retried = await api.syncMastodonApi(async () => {});
+  assert.deepStrictEqual(plain(retried), { received: 4, errors: [] });
+  assert.deepStrictEqual(cursors(), { home: '100224', 'list:42': '100224', 'tag:rust': '100219' });
+});
+
+test('a rejected token is reported and keeps the cursors', async () => {
+  await api.saveMastodonApiConfig({ enabled: true, server: mock.url, token: 'wrong', timelines: 'home' });
+  const result = await api.syncMastodonApi(async () => {});
+  assert.deepStrictEqual(plain(result.errors), ['home: The server rejected the access token']);
+  assert.deepStrictEqual(cursors(), { home: '100224' });
+});
@@ -0,0 +1,120 @@
+// mastodon-mock-server.js
+// A stand-in Mastodon server for the REST API sync: the home, list and
+// hashtag timelines, paged with since_id / max_id / limit like the real API.
+// The tests start it on a free port; run it directly to point the options
+// page at it:
+//
+//   node test/mastodon-mock-server.js [port]
+//
+// then use server http://localhost:<port> and token "mock-token".
+'use strict';
+
+const http = require('http');
+
+const MOCK_TOKEN = 'mock-token';
+
+const ACCOUNTS = {
+  ann: { id: '1', username: 'ann', acct: 'ann', display_name: 'Ann', avatar: 'https://files.example/ann.png', avatar_static: 'https://files.example/ann.png' },
+  bob: { id: '2', username: 'bob', acct: 'bob@other.example', display_name: '', avatar: 'https://files.example/bob.png' }
+};
+
+// Status number `n`; higher numbers are newer. Every second status is on
+// list 42 and every third is tagged #rust.
+function mockStatus(n, fields = {}) {
+  const tags = n % 3 === 0 ? [{ name: 'rust' }] : [];
+  return {
+    id: String(100000 + n),
+    created_at: new Date(Date.UTC(2026, 0, 1, 0, n)).toISOString(),
+    account: n % 2 ? ACCOUNTS.bob : ACCOUNTS.ann,
+    content: `<p>Status ${n}${tags.length ? ' <a href="https://mock.example/tags/rust" class="mention hashtag" rel="tag">#<span>rust</span></a>' : ''}</p>`,
+    spoiler_text: '',
+    sensitive: false,
+    replies_count: 0,
+    reblogs_count: 0,
+    favourites_count: n,
+    media_attachments: [],
+    mentions: [],
+    tags,
+    card: null,
+    in_reply_to_id: null,
+    in_reply_to_account_id: null,
+    reblog: null,
+    lists: n % 2 ? [] : ['42'],
+    ...fields
+  };
+}
+
+function compareIds(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+// Start a server holding `statuses` (more can be added later with
+// `post`). Resolves to { url, token, requests, post(statuses), close() };
+// `requests` lists every path and query served.
+function startMockMastodon({ statuses = [], port = 0 } = {}) {
+  const timeline = [];
+  const requests = [];
+
+  function post(added) {
+    timeline.push(...added);
+    timeline.sort((a, b) => compareIds(b.id, a.id));
+  }
+  post(statuses);
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    if (request.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+      return reply(401, { error: 'The access token is invalid' });
+    }
+
+    const path = url.pathname.match(/^\/api\/v1\/timelines\/(home|list\/(\w+)|tag\/(\w+))$/);
+    if (!path) {
+      return reply(404, { error: 'Record not found' });
+    }
+
+    const [, , list, tag] = path;
+    const sinceId = url.searchParams.get('since_id');
+    const maxId = url.searchParams.get('max_id');
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 40);
+
+    const page = timeline
+      .filter(status => !list || (status.lists || []).includes(list))
+      .filter(status => !tag || (status.tags || []).some(entry => entry.name === tag.toLowerCase()))
+      .filter(status => !sinceId || compareIds(status.id, sinceId) > 0)
+      .filter(status => !maxId || compareIds(status.id, maxId) < 0)
+      .slice(0, limit)
+      .map(({ lists, ...status }) => status);
+    reply(200, page);
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      resolve({
+        url: `http://localhost:${server.address().port}`,
+        token: MOCK_TOKEN,
+        requests,
+        post,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startMockMastodon, mockStatus, MOCK_TOKEN };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 3000;
+  let next = 120;
+  startMockMastodon({ port, statuses: Array.from({ length: next }, (_, n) => mockStatus(n)) }).then(mock => {
+    console.log(`Mock Mastodon server at ${mock.url}, token "${mock.token}"`);
+    // A new status every ten seconds, so syncs have something to pick up
+    setInterval(() => mock.post([mockStatus(next++)]), 10 * 1000);
+  });
+}
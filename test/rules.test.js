@@ -0,0 +1,67 @@
+// rules.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers');
+
+const rules = loadScripts(['archive.js', 'identities.js', 'search.js', 'rules.js']);
+
+function post(fields = {}) {
+  return {
+    platform: 'bluesky',
+    id: '1',
+    key: 'bluesky:1',
+    author: { name: 'Alex', handle: 'alex.bsky.social' },
+    content: '',
+    ...fields
+  };
+}
+
+function rule(type, value, platform = 'all') {
+  return { id: `rule:${type}`, type, value, platform };
+}
+
+test('muted words match whole words, ignoring case and accents', () => {
+  const muted = rule('word', 'café open');
+  assert.ok(rules.ruleMatches(muted, post({ content: 'The CAFE opens... no, the Cafe Open sign is up' })));
+  assert.ok(!rules.ruleMatches(muted, post({ content: 'cafeteria open' })));
+  assert.ok(rules.ruleMatches(rule('word', 'spoiler'), post({ quoted: { content: 'Spoiler: it ends' } })));
+});
+
+test('regex rules are case-insensitive and ignore bad patterns', () => {
+  assert.ok(rules.ruleMatches(rule('regex', '^giveaway\\b'), post({ content: 'GIVEAWAY time' })));
+  assert.ok(!rules.ruleMatches(rule('regex', '(unclosed'), post({ content: '(unclosed' })));
+});
+
+test('author, repost and reply rules', () => {
+  const onBluesky = rule('author', '@Alex.bsky.social', 'bluesky');
+  assert.ok(rules.ruleMatches(onBluesky, post()));
+  assert.ok(!rules.ruleMatches(onBluesky, post({ platform: 'twitter' })));
+  assert.ok(rules.ruleMatches(rule('author', 'kim', 'mastodon'), post({ platform: 'mastodon', author: { name: 'Kim', handle: '@kim@tech.lgbt' } })));
+
+  assert.ok(rules.ruleMatches(rule('repost', 'Sam'), post({ reposter: 'sam' })));
+  assert.ok(!rules.ruleMatches(rule('repost', 'Sam'), post()));
+  assert.ok(rules.ruleMatches(rule('replies', ''), post({ inReplyTo: { id: '0' } })));
+});
+
+test('addFilterRule validates rules and applyFilterRules tracks matches', async () => {
+  await assert.rejects(rules.addFilterRule({ type: 'colour', value: 'red' }), /Unknown rule type/);
+  await assert.rejects(rules.addFilterRule({ type: 'word', value: '  ' }), /needs a value/);
+  await assert.rejects(rules.addFilterRule({ type: 'regex', value: '(' }));
+
+  const added = await rules.addFilterRule({ type: 'word', value: ' rust ' });
+  assert.strictEqual(added.value, 'rust');
+  await rules.addFilterRule({ type: 'word', value: 'gone', expiresAt: Date.now() - 1 });
+
+  const target = post({ content: 'gone with rust' });
+  assert.strictEqual(rules.applyFilterRules(target), true);
+  assert.deepStrictEqual(plain(target.filteredBy), [added.id]);
+  assert.ok(rules.isPostFiltered(target));
+  assert.strictEqual(rules.applyFilterRules(target), false);
+
+  assert.strictEqual(await rules.removeExpiredFilterRules(), true);
+  await rules.removeFilterRule(added.id);
+  assert.strictEqual(rules.applyFilterRules(target), true);
+  assert.strictEqual(target.filteredBy, undefined);
+});
@@ -0,0 +1,77 @@
+// search.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers');
+
+const search = loadScripts(['archive.js', 'identities.js', 'search.js']);
+
+function post(id, fields = {}) {
+  return {
+    platform: 'bluesky',
+    id,
+    key: `bluesky:${id}`,
+    author: { name: 'Alex', handle: 'alex.bsky.social' },
+    content: '',
+    engagement: {},
+    ...fields
+  };
+}
+
+const POSTS = [
+  post('1', { content: 'Rust release notes are out', engagement: { likes: 40 } }),
+  post('2', { content: 'Notes on gardening', engagement: { likes: 3 }, reposter: 'Sam' }),
+  post('3', { content: 'The release party was fun', author: { name: 'Kim', handle: 'kim' }, inReplyTo: { id: '1' } })
+];
+
+function run(query) {
+  search.rebuildSearchIndex(POSTS);
+  const compiled = search.compileSearch(query);
+  return POSTS
+    .filter(p => !compiled.candidates || compiled.candidates.has(p.key))
+    .filter(compiled.matches)
+    .map(p => p.id);
+}
+
+test('splits a query into terms and operators', () => {
+  assert.deepStrictEqual(plain(search.parseSearchQuery('"release notes" -party from:@alex min_likes:10')), {
+    terms: [
+      { text: 'release notes', phrase: true, negate: false },
+      { text: 'party', phrase: false, negate: true }
+    ],
+    operators: [
+      { name: 'from', value: '@alex', negate: false },
+      { name: 'min_likes', value: '10', negate: false }
+    ]
+  });
+});
+
+test('searches counts that are not numbers as text', () => {
+  assert.deepStrictEqual(plain(search.parseSearchQuery('min_likes:abc')), {
+    terms: [{ text: 'min_likes:abc', phrase: false, negate: false }],
+    operators: []
+  });
+  assert.deepStrictEqual(plain(search.parseSearchQuery('nope:x')).terms, [{ text: 'nope:x', phrase: false, negate: false }]);
+});
+
+test('matches words by prefix, phrases in order and negations', () => {
+  assert.deepStrictEqual(run('rel'), ['1', '3']);
+  assert.deepStrictEqual(run('"release notes"'), ['1']);
+  assert.deepStrictEqual(run('"notes release"'), []);
+  assert.deepStrictEqual(run('notes -rust'), ['2']);
+});
+
+test('applies operators', () => {
+  assert.deepStrictEqual(run('min_likes:10'), ['1']);
+  assert.deepStrictEqual(run('is:repost'), ['2']);
+  assert.deepStrictEqual(run('-is:repost'), ['1', '3']);
+  assert.deepStrictEqual(run('is:reply'), ['3']);
+  assert.deepStrictEqual(run('from:kim'), ['3']);
+  assert.deepStrictEqual(run('from:alex.bsky.social release'), ['1']);
+});
+
+test('parses search dates', () => {
+  assert.strictEqual(search.parseSearchDate('2026-01-02'), new Date('2026-01-02T00:00:00').getTime());
+  assert.strictEqual(search.parseSearchDate('not a date'), null);
+});
@@ -0,0 +1,95 @@
+// watch.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, stubChrome, plain } = require('./helpers');
+
+const notifications = [];
+const chrome = stubChrome();
+chrome.runtime.getURL = path => path;
+chrome.notifications = { create: (id, options) => notifications.push({ id, ...options }) };
+
+const watch = loadScripts(['archive.js', 'identities.js', 'search.js', 'rules.js', 'engagement.js', 'watch.js'], { chrome });
+
+function at(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 0, 1, hours, minutes);
+}
+
+function post(id, fields = {}) {
+  return {
+    platform: 'bluesky',
+    id,
+    key: `bluesky:${id}`,
+    author: { name: 'Alex', handle: 'alex.bsky.social' },
+    content: '',
+    engagement: {},
+    timestamp: Date.now(),
+    ...fields
+  };
+}
+
+// Quiet hours covering the next minute or so, whatever the time is now
+function quietNow() {
+  const now = new Date();
+  const minute = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return { enabled: true, start: minute(now), end: minute(new Date(now.getTime() - 60 * 1000)) };
+}
+
+test('quiet hours may wrap past midnight', () => {
+  const night = { enabled: true, start: '22:00', end: '07:00' };
+  assert.ok(watch.isQuietTime(night, at('23:30')));
+  assert.ok(watch.isQuietTime(night, at('06:59')));
+  assert.ok(!watch.isQuietTime(night, at('07:00')));
+  assert.ok(watch.isQuietTime({ enabled: true, start: '12:00', end: '13:00' }, at('12:15')));
+  assert.ok(!watch.isQuietTime({ ...night, enabled: false }, at('23:30')));
+});
+
+test('matches watch rules by hashtag and engagement', async () => {
+  const tag = await watch.addWatchRule({ type: 'hashtag', value: '#RustLang' });
+  assert.strictEqual(tag.value, 'RustLang');
+  await assert.rejects(watch.addWatchRule({ type: 'engagement', metric: 'likes', threshold: 'x' }), /positive number/);
+  const popular = await watch.addWatchRule({ type: 'engagement', metric: 'likes', threshold: '100' });
+
+  assert.deepStrictEqual(plain(watch.matchWatchRules(post('1', { content: 'New #rustlang release' })).map(rule => rule.id)), [tag.id]);
+  assert.deepStrictEqual(plain(watch.matchWatchRules(post('2', { engagement: { likes: 150 } })).map(rule => rule.id)), [popular.id]);
+  assert.deepStrictEqual(plain(watch.matchWatchRules(post('3', { content: '#rust' }))), []);
+
+  await watch.removeWatchRule(tag.id);
+  await watch.removeWatchRule(popular.id);
+});
+
+test('matches during quiet hours are summed up once they end', async () => {
+  await watch.addWatchRule({ type: 'keyword', value: 'launch' });
+  const quiet = { showNotifications: true, quietHours: quietNow() };
+
+  const matched = [1, 2, 3, 4, 5, 6].map(n => post(String(n), { content: `launch ${n}` }));
+  matched.forEach(each => assert.strictEqual(watch.checkWatchRules(each, quiet), true));
+  assert.ok(matched.every(each => each.notifiedAt));
+  assert.strictEqual(watch.checkWatchRules(matched[0], quiet), false);
+
+  await watch.flushQuietMatches(quiet);
+  assert.strictEqual(notifications.length, 0);
+
+  await watch.flushQuietMatches({ ...quiet, quietHours: { ...quiet.quietHours, enabled: false } });
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(notifications[0].title, '6 posts matched your watch rules during quiet hours');
+  assert.deepStrictEqual(plain(notifications[0].items.map(item => item.message)), ['launch 6', 'launch 5', 'launch 4', 'launch 3', 'launch 2']);
+
+  // Nothing left to announce
+  await watch.flushQuietMatches({ showNotifications: true, quietHours: { enabled: false } });
+  assert.strictEqual(notifications.length, 1);
+});
+
+test('old posts are only announced by engagement rules', async () => {
+  const popular = await watch.addWatchRule({ type: 'engagement', metric: 'likes', threshold: 100 });
+  const quiet = { showNotifications: true, quietHours: quietNow() };
+  const lastWeek = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+  assert.strictEqual(watch.checkWatchRules(post('7', { content: 'launch', timestamp: lastWeek }), quiet), false);
+  assert.strictEqual(watch.checkWatchRules(post('8', { engagement: { likes: 150 }, timestamp: lastWeek }), quiet), true);
+
+  await watch.removeWatchRule(popular.id);
+  await watch.flushQuietMatches({ showNotifications: false, quietHours: { enabled: false } });
+});